@@ -0,0 +1,111 @@
+import { ANNOTATION_STATUSES, loadAuthor, saveAuthor } from './annotations.js';
+
+// Annotations panel — the review pins as a list (click to jump to a pin's view)
+// and an editor for the selected one. It only draws annotations state; edits go
+// back through the callbacks.
+
+// callbacks: { onSelect(id), onEdit(id, changes), onDelete(id), onSaveView(id), onShowResolved(v), onExport(), onImport() }
+export function createAnnotationPanel(parent, { onSelect, onEdit, onDelete, onSaveView, onShowResolved, onExport, onImport }) {
+  const el = document.createElement('aside');
+  el.className = 'annotation-panel hidden';
+  el.innerHTML =
+    `<header class="annotation-panel-header">` +
+      `<span>annotations</span>` +
+      `<button class="annotation-panel-close" aria-label="Close">×</button>` +
+    `</header>` +
+    `<div class="annotation-toolbar">` +
+      `<input class="annotation-author" type="text" placeholder="Your name">` +
+      `<label><input class="annotation-show-resolved" type="checkbox" checked> resolved</label>` +
+    `</div>` +
+    `<ol class="annotation-list"></ol>` +
+    `<div class="annotation-editor hidden">` +
+      `<textarea class="annotation-text" rows="3" placeholder="Comment"></textarea>` +
+      `<div class="annotation-editor-row">` +
+        `<select class="annotation-status"></select>` +
+        `<button class="annotation-save-view">Save view</button>` +
+        `<button class="annotation-delete">Delete</button>` +
+      `</div>` +
+      `<span class="annotation-meta"></span>` +
+    `</div>` +
+    `<div class="annotation-footer">` +
+      `<button class="annotation-export">Export</button>` +
+      `<button class="annotation-import">Import</button>` +
+    `</div>` +
+    `<span class="annotation-hint">N to place pins, then click the model</span>`;
+  parent.appendChild(el);
+
+  const listEl = el.querySelector('.annotation-list');
+  const editorEl = el.querySelector('.annotation-editor');
+  const textEl = el.querySelector('.annotation-text');
+  const statusEl = el.querySelector('.annotation-status');
+  const metaEl = el.querySelector('.annotation-meta');
+  const authorEl = el.querySelector('.annotation-author');
+  const hintEl = el.querySelector('.annotation-hint');
+  const showResolvedEl = el.querySelector('.annotation-show-resolved');
+  ANNOTATION_STATUSES.forEach((s) => statusEl.add(new Option(s, s)));
+  authorEl.value = loadAuthor();
+
+  let editing = null; // id of the pin in the editor
+
+  authorEl.addEventListener('change', () => { saveAuthor(authorEl.value.trim()); });
+  showResolvedEl.addEventListener('change', () => { onShowResolved(showResolvedEl.checked); });
+  textEl.addEventListener('input', () => { if (editing) onEdit(editing, { text: textEl.value }); });
+  statusEl.addEventListener('change', () => { if (editing) onEdit(editing, { status: statusEl.value }); });
+  el.querySelector('.annotation-save-view').addEventListener('click', () => { if (editing) onSaveView(editing); });
+  el.querySelector('.annotation-delete').addEventListener('click', () => { if (editing) onDelete(editing); });
+  el.querySelector('.annotation-panel-close').addEventListener('click', () => { api.open = false; });
+  el.querySelector('.annotation-export').addEventListener('click', () => onExport());
+  el.querySelector('.annotation-import').addEventListener('click', () => onImport());
+
+  function renderList(list, selected, showResolved) {
+    listEl.innerHTML = '';
+    list.forEach((pin, i) => {
+      if (pin.status === 'resolved' && !showResolved && pin !== selected) return;
+      const li = document.createElement('li');
+      li.className = `annotation-row ${pin.status}${pin === selected ? ' selected' : ''}`;
+      const number = document.createElement('span');
+      number.className = 'annotation-number';
+      number.textContent = i + 1;
+      const body = document.createElement('span');
+      body.className = 'annotation-body';
+      const text = document.createElement('span');
+      text.textContent = pin.text || '(no comment)';
+      const meta = document.createElement('span');
+      meta.className = 'annotation-row-meta';
+      meta.textContent = [pin.author, pin.node].filter(Boolean).join(' · ');
+      body.append(text, meta);
+      li.append(number, body);
+      li.addEventListener('click', () => onSelect(pin.id));
+      listEl.appendChild(li);
+    });
+    hintEl.classList.toggle('hidden', list.length > 0);
+  }
+
+  // Refilled only when the selection moves, so typing keeps its caret
+  function renderEditor(pin) {
+    editorEl.classList.toggle('hidden', !pin);
+    if (pin) {
+      metaEl.textContent = [pin.author || 'anonymous', pin.created && new Date(pin.created).toLocaleString()].filter(Boolean).join(' · ');
+      statusEl.value = pin.status;
+    }
+    if (pin?.id === editing) return;
+    editing = pin?.id ?? null;
+    textEl.value = pin?.text ?? '';
+  }
+
+  const api = {
+    // list: annotations.list; selected: annotations.selected (or null)
+    render(list, selected, showResolved) {
+      showResolvedEl.checked = showResolved;
+      renderList(list, selected, showResolved);
+      renderEditor(selected);
+    },
+    // Focus the comment box, e.g. on a freshly placed pin
+    focusText() {
+      textEl.focus();
+    },
+    get open() { return !el.classList.contains('hidden'); },
+    set open(v) { el.classList.toggle('hidden', !v); },
+  };
+  return api;
+}
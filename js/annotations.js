@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+import { pathOf, findNode, isShown } from './nodepath.js';
+import { downloadJson, pickJsonFile } from './files.js';
+import { isCameraState } from './bookmarks.js';
+
+// Review annotations — comment pins on the model's surface:
+//   { id, node, path, point: [x, y, z], author, text, status: 'open' | 'resolved', camera, created }
+// `point` is in the local space of the named object that was hit (or its nearest
+// named ancestor), so pins ride along when parts explode. That object is found
+// again by `path` (nodepath.js), as names repeat; `node` is its name, for the
+// list and for imported pins whose path no longer fits. `camera` is a
+// bookmark camera state (bookmarks.js) to jump back to the reviewer's view.
+// Pins are saved per model in localStorage, keyed by manifest path like the
+// material assignments, and travel as JSON files; importing merges by id.
+
+const STORAGE_PREFIX = 'angl-viewer:annotations:';
+const AUTHOR_KEY = 'angl-viewer:author';
+const FILE_VERSION = 1;
+
+export const ANNOTATION_STATUSES = ['open', 'resolved'];
+
+// --- Storage ---
+export function loadAnnotations(modelKey) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + modelKey);
+    return raw ? JSON.parse(raw) : [];
+  } catch (err) {
+    console.warn('Could not read annotations:', err);
+    return [];
+  }
+}
+
+export function saveAnnotations(modelKey, list) {
+  if (list.length) localStorage.setItem(STORAGE_PREFIX + modelKey, JSON.stringify(list));
+  else localStorage.removeItem(STORAGE_PREFIX + modelKey);
+}
+
+export function loadAuthor() {
+  return localStorage.getItem(AUTHOR_KEY) ?? '';
+}
+
+export function saveAuthor(name) {
+  localStorage.setItem(AUTHOR_KEY, name);
+}
+
+// --- JSON import / export ---
+export function exportAnnotations(modelKey, list) {
+  const base = modelKey.split('/').pop().replace(/\.manifest\.json$/, '');
+  downloadJson({ version: FILE_VERSION, model: modelKey, annotations: list }, `angl-annotations-${base.replace(/[^\w-]+/g, '_')}.json`);
+}
+
+function isAnnotation(a) {
+  return typeof a?.id === 'string' && typeof a.node === 'string' && typeof a.text === 'string' &&
+    (a.path === undefined || typeof a.path === 'string') &&
+    (a.camera == null || isCameraState(a.camera)) &&
+    Array.isArray(a.point) && a.point.length === 3 && a.point.every(Number.isFinite) &&
+    ANNOTATION_STATUSES.includes(a.status);
+}
+
+// Accepts an exported file ({ version, model, annotations }) or a bare list
+export function parseAnnotationsFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.annotations;
+  if (!Array.isArray(list) || !list.every(isAnnotation)) {
+    throw new Error('not an annotations file (expected { annotations: [{ id, node, point, text, status }] })');
+  }
+  return list.map((a) => ({ author: '', camera: null, created: null, ...a }));
+}
+
+// Opens a file picker (pickJsonFile) and resolves with the parsed list, or null when dismissed
+export function importAnnotationsFile() {
+  return pickJsonFile(parseAnnotationsFile);
+}
+
+// --- Pins ---
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function namedAncestor(obj, root) {
+  for (let o = obj; o && o !== root; o = o.parent) if (o.name) return o;
+  return root;
+}
+
+// pick(event) → first raycast hit on the visible model, or null
+// getCamera() → bookmark camera state saved with new pins
+// onChange() — pins, their fields or the selection changed
+export function createAnnotations(parent, { pick, getCamera, onChange }) {
+  const layer = document.createElement('div');
+  layer.className = 'annotation-layer';
+  parent.appendChild(layer);
+
+  let root = null;
+  let modelKey = null;
+  let list = [];
+  let selected = null; // pin id
+  let active = false; // placing pins
+  let showResolved = true;
+  const markers = new Map(); // pin id → { el, node }
+
+  function commit() {
+    saveAnnotations(modelKey, list);
+    onChange?.();
+  }
+
+  function select(id) {
+    selected = id;
+    onChange?.();
+  }
+
+  // Pins from before paths were saved name only their part, or nothing for the root
+  function resolve(pin) {
+    if (!root) return null;
+    return pin.node || typeof pin.path === 'string' ? findNode(root, { path: pin.path, name: pin.node }) : root;
+  }
+
+  function buildMarkers() {
+    layer.innerHTML = '';
+    markers.clear();
+    list.forEach((pin, i) => {
+      const el = document.createElement('button');
+      el.className = 'annotation-pin';
+      el.textContent = i + 1;
+      el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        select(pin.id);
+      });
+      layer.appendChild(el);
+      markers.set(pin.id, { el, node: resolve(pin) });
+    });
+  }
+
+  const tmp = new THREE.Vector3();
+
+  return {
+    // Load the saved pins of a freshly installed model
+    setModel(m, key) {
+      root = m;
+      modelKey = key;
+      list = loadAnnotations(key);
+      selected = null;
+      buildMarkers();
+      onChange?.();
+    },
+    get modelKey() { return modelKey; },
+    get list() { return list; },
+    get selected() { return list.find((p) => p.id === selected) ?? null; },
+    select,
+    get active() { return active; },
+    set active(v) {
+      active = v;
+      parent.classList.toggle('annotating', v);
+    },
+    get showResolved() { return showResolved; },
+    set showResolved(v) {
+      showResolved = v;
+      onChange?.();
+    },
+    // Find the pins' parts again, e.g. after the configurator swapped geometry
+    relink() {
+      list.forEach((pin) => { markers.get(pin.id).node = resolve(pin); });
+    },
+    // Pins on parts the current model lacks (e.g. after a revision)
+    get orphans() { return list.filter((p) => !markers.get(p.id).node); },
+    // Returns true when the click was used
+    handleClick(event) {
+      if (!active || !root) return false;
+      const hit = pick(event);
+      if (!hit) return true; // a miss while placing does nothing else either
+      const node = namedAncestor(hit.object, root);
+      const pin = {
+        id: newId(),
+        node: node === root ? '' : node.name,
+        path: pathOf(root, node),
+        point: node.worldToLocal(hit.point.clone()).toArray(),
+        author: loadAuthor(),
+        text: '',
+        status: 'open',
+        camera: getCamera(),
+        created: new Date().toISOString(),
+      };
+      list.push(pin);
+      buildMarkers();
+      selected = pin.id;
+      commit();
+      return true;
+    },
+    // changes: any of { text, author, status, camera }
+    edit(id, changes) {
+      const pin = list.find((p) => p.id === id);
+      if (!pin) return;
+      Object.assign(pin, changes);
+      commit();
+    },
+    remove(id) {
+      list = list.filter((p) => p.id !== id);
+      if (selected === id) selected = null;
+      buildMarkers();
+      commit();
+    },
+    // Imported pins replace those with the same id, the rest are added
+    merge(imported) {
+      const byId = new Map(list.map((p) => [p.id, p]));
+      imported.forEach((p) => byId.set(p.id, p));
+      list = [...byId.values()];
+      buildMarkers();
+      commit();
+    },
+    // Same projection as the hotspot markers
+    update(camera) {
+      const hw = window.innerWidth / 2;
+      const hh = window.innerHeight / 2;
+      list.forEach((pin) => {
+        const { el, node } = markers.get(pin.id);
+        const hidden = !node || !isShown(node, root) || (pin.status === 'resolved' && !showResolved);
+        if (!hidden) {
+          node.updateWorldMatrix(true, false); // explode moved it this frame
+          tmp.fromArray(pin.point).applyMatrix4(node.matrixWorld).project(camera);
+        }
+        if (hidden || tmp.z > 1) {
+          el.style.display = 'none';
+          return;
+        }
+        el.style.display = '';
+        el.style.left = (tmp.x * hw + hw) + 'px';
+        el.style.top = (-tmp.y * hh + hh) + 'px';
+        el.classList.toggle('resolved', pin.status === 'resolved');
+        el.classList.toggle('selected', pin.id === selected);
+        el.title = pin.text;
+      });
+    },
+  };
+}
@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+// Asset resolver — every external asset is looked up in the local `assets/`
+// directory first and only then fetched from its public source, so the viewer
+// works offline once the files are bundled:
+//   assets/hdri/studio_small_09_1k.hdr
+//   assets/textures/<name>/<name>_diff_1k.jpg, <name>_nor_gl_1k.jpg
+//   assets/draco/draco_decoder.wasm, draco_wasm_wrapper.js, ...
+// `node tools/fetch-assets.mjs` fills the directory. The code itself (three.js,
+// lil-gui, ...) still comes from the CDNs in the pages' import maps.
+// An asset that loads from nowhere resolves to null and is recorded in
+// `missing`; callers substitute a procedural or flat-color fallback.
+
+const LOCAL_BASE = './assets';
+const POLYHAVEN_BASE = 'https://dl.polyhaven.org/file/ph-assets';
+const DRACO_VERSION = '1.5.7';
+
+export const assetSources = {
+  hdri: (name) => [
+    `${LOCAL_BASE}/hdri/${name}.hdr`,
+    `${POLYHAVEN_BASE}/HDRIs/hdr/1k/${name}.hdr`,
+  ],
+  // map: 'diff' | 'nor_gl'
+  texture: (name, map) => [
+    `${LOCAL_BASE}/textures/${name}/${name}_${map}_1k.jpg`,
+    `${POLYHAVEN_BASE}/Textures/jpg/1k/${name}/${name}_${map}_1k.jpg`,
+  ],
+  draco: () => [
+    `${LOCAL_BASE}/draco/`,
+    `https://www.gstatic.com/draco/versioned/decoders/${DRACO_VERSION}/`,
+  ],
+};
+
+export function createAssetResolver({ onMissing } = {}) {
+  const missing = []; // [{ label, urls }]
+  let dracoPath = null;
+
+  function markMissing(label, urls) {
+    missing.push({ label, urls });
+    console.warn(`Asset unavailable: ${label}`, urls);
+    onMissing?.(label, missing);
+  }
+
+  return {
+    missing,
+    // Try each url with a three.js loader; resolves the first success or null
+    async load(loader, urls, label, onProgress) {
+      for (const url of urls) {
+        try {
+          return await loader.loadAsync(url, onProgress);
+        } catch {
+          // next source
+        }
+      }
+      markMissing(label, urls);
+      return null;
+    },
+    // DRACOLoader fetches lazily, so probe for the wasm decoder up front.
+    // Falls back to the remote path even when unreachable, which only matters
+    // for Draco-compressed models.
+    async dracoDecoderPath() {
+      if (dracoPath) return dracoPath;
+      const paths = assetSources.draco();
+      for (const path of paths) {
+        try {
+          const res = await fetch(`${path}draco_decoder.wasm`, { method: 'HEAD' });
+          if (res.ok) return (dracoPath = path);
+        } catch {
+          // next source
+        }
+      }
+      markMissing('DRACO decoder', paths);
+      return (dracoPath = paths[paths.length - 1]);
+    },
+  };
+}
+
+// TextureLoader goes through <img> and reports no progress; fetching the bytes
+// with FileLoader first does. Same loadAsync(url, onProgress) shape as three's loaders.
+export function createBlobTextureLoader() {
+  const files = new THREE.FileLoader().setResponseType('blob');
+  const images = new THREE.TextureLoader();
+  return {
+    async loadAsync(url, onProgress) {
+      const blob = await files.loadAsync(url, onProgress);
+      const objectUrl = URL.createObjectURL(blob);
+      try {
+        return await images.loadAsync(objectUrl);
+      } finally {
+        URL.revokeObjectURL(objectUrl);
+      }
+    },
+  };
+}
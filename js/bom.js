@@ -0,0 +1,80 @@
+import { formatPrice } from './drawer.js';
+
+// Configurator panel (B) — a picker per slot and the running bill of materials
+// with totals. It only draws configurator.summary(); choices go back through onChoose.
+
+function priceLabel(price) {
+  return price ? ` — ${formatPrice(price)}` : '';
+}
+
+// callbacks: { onChoose(slotId, optionId), onExport() }
+export function createBomPanel(parent, { onChoose, onExport }) {
+  const el = document.createElement('aside');
+  el.className = 'bom-panel hidden';
+  el.innerHTML =
+    `<header class="bom-panel-header">` +
+      `<span>configuration</span>` +
+      `<button class="bom-panel-close" aria-label="Close">×</button>` +
+    `</header>` +
+    `<div class="bom-slots"></div>` +
+    `<table class="bom-table"><tbody></tbody><tfoot></tfoot></table>` +
+    `<button class="bom-export">Export configuration</button>`;
+  parent.appendChild(el);
+
+  const slotsEl = el.querySelector('.bom-slots');
+  const bodyEl = el.querySelector('.bom-table tbody');
+  const footEl = el.querySelector('.bom-table tfoot');
+
+  function renderSlots(slots) {
+    slotsEl.innerHTML = '';
+    slots.forEach((slot) => {
+      const label = document.createElement('label');
+      label.className = 'bom-slot';
+      const name = document.createElement('span');
+      name.textContent = slot.label;
+      const select = document.createElement('select');
+      slot.options.forEach((o) => select.add(new Option(o.label + priceLabel(o.price), o.id)));
+      select.value = slot.chosen;
+      select.addEventListener('change', () => onChoose(slot.id, select.value));
+      label.append(name, select);
+      slotsEl.appendChild(label);
+    });
+  }
+
+  function renderLines(lines, totals) {
+    bodyEl.innerHTML = '';
+    lines.forEach((line) => {
+      const row = bodyEl.insertRow();
+      row.className = line.slot ? 'bom-line configurable' : 'bom-line';
+      const item = row.insertCell();
+      const category = document.createElement('span');
+      category.className = 'bom-category';
+      category.textContent = line.label;
+      const name = document.createElement('span');
+      name.textContent = line.name;
+      name.title = line.sku;
+      item.append(category, name);
+      row.insertCell().textContent = formatPrice(line.price);
+    });
+    footEl.innerHTML = '';
+    totals.forEach((total, i) => {
+      const row = footEl.insertRow();
+      row.insertCell().textContent = i === 0 ? 'Total' : '';
+      row.insertCell().textContent = formatPrice(total);
+    });
+  }
+
+  el.querySelector('.bom-panel-close').addEventListener('click', () => { api.open = false; });
+  el.querySelector('.bom-export').addEventListener('click', () => onExport());
+
+  const api = {
+    // summary: configurator.summary(hotspots)
+    render({ slots, lines, totals }) {
+      renderSlots(slots);
+      renderLines(lines, totals);
+    },
+    get open() { return !el.classList.contains('hidden'); },
+    set open(v) { el.classList.toggle('hidden', !v); },
+  };
+  return api;
+}
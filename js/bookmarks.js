@@ -0,0 +1,142 @@
+import { downloadJson, pickJsonFile } from './files.js';
+
+// Camera bookmarks + flythrough.
+// A bookmark is a named camera state plus how to travel to it:
+//   {
+//     name,
+//     camera: { azimuth, elevation, frustum, fov, target: [x, y, z], projection },
+//     travel: { duration, hold, easing },  // seconds to arrive, seconds to stay
+//   }
+// Bookmarks are an ordered list in localStorage; the flythrough visits them in
+// that order (looping for kiosk use), each segment using the travel settings
+// of the bookmark it arrives at.
+
+const STORAGE_KEY = 'angl-viewer:bookmarks';
+const FILE_VERSION = 1;
+
+export const EASINGS = {
+  'linear': (t) => t,
+  'ease-in': (t) => t * t * t,
+  'ease-out': (t) => 1 - (1 - t) ** 3,
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+export const DEFAULT_TRAVEL = { duration: 2.5, hold: 2, easing: 'ease-in-out' };
+
+// --- Storage ---
+export function loadBookmarks() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (err) {
+    console.warn('Could not read camera bookmarks:', err);
+    return [];
+  }
+}
+
+export function saveBookmarks(list) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+}
+
+// --- JSON import / export ---
+export function exportBookmarks(list) {
+  downloadJson({ version: FILE_VERSION, bookmarks: list }, 'angl-bookmarks.json');
+}
+
+// A camera state complete enough to fly to (annotation pins carry one too)
+export function isCameraState(c) {
+  return !!c && ['azimuth', 'elevation', 'frustum'].every((k) => Number.isFinite(c[k])) &&
+    Array.isArray(c.target) && c.target.length === 3 && c.target.every(Number.isFinite);
+}
+
+function isBookmark(b) {
+  return typeof b?.name === 'string' && isCameraState(b.camera);
+}
+
+// Accepts an exported file ({ version, bookmarks }) or a bare list
+export function parseBookmarksFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.bookmarks;
+  if (!Array.isArray(list) || !list.every(isBookmark)) {
+    throw new Error('not a bookmarks file (expected { bookmarks: [{ name, camera }] })');
+  }
+  return list.map((b) => ({ ...b, travel: { ...DEFAULT_TRAVEL, ...b.travel } }));
+}
+
+// Opens a file picker (pickJsonFile) and resolves with the parsed list, or null when dismissed
+export function importBookmarksFile() {
+  return pickJsonFile(parseBookmarksFile);
+}
+
+// --- Tweening ---
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export function interpolateCamera(from, to, t) {
+  return {
+    azimuth: lerp(from.azimuth, to.azimuth, t),
+    elevation: lerp(from.elevation, to.elevation, t),
+    frustum: lerp(from.frustum, to.frustum, t),
+    fov: lerp(from.fov ?? to.fov, to.fov ?? from.fov, t),
+    target: from.target.map((v, i) => lerp(v, to.target[i], t)),
+    projection: to.projection,
+  };
+}
+
+// getCamera() snapshots the live camera; applyCamera(cam) sets it without easing.
+// Projection switches at the start of a segment (both cameras frame the same).
+export function createFlythrough({ getCamera, applyCamera }) {
+  let segment = null; // { from, to, duration, hold, ease, time }
+  let path = null; // bookmarks being flown, or null for a single goTo
+  let index = 0;
+  let loop = false;
+
+  function start(bookmark) {
+    const travel = { ...DEFAULT_TRAVEL, ...bookmark.travel };
+    segment = {
+      from: getCamera(),
+      to: bookmark.camera,
+      duration: Math.max(travel.duration, 0.001),
+      hold: path ? travel.hold : 0,
+      ease: EASINGS[travel.easing] || EASINGS['ease-in-out'],
+      time: 0,
+    };
+  }
+
+  function stop() {
+    segment = null;
+    path = null;
+  }
+
+  return {
+    goTo(bookmark) {
+      path = null;
+      start(bookmark);
+    },
+    play(bookmarks, options = {}) {
+      if (!bookmarks.length) return;
+      path = bookmarks.slice();
+      loop = options.loop ?? true;
+      index = 0;
+      start(path[0]);
+    },
+    stop,
+    get active() { return segment !== null; },
+    get playing() { return path !== null; },
+    update(dt) {
+      if (!segment) return;
+      segment.time += dt;
+      const t = Math.min(segment.time / segment.duration, 1);
+      applyCamera(interpolateCamera(segment.from, segment.to, segment.ease(t)));
+      if (segment.time < segment.duration + segment.hold) return;
+      if (!path) { stop(); return; }
+      index++;
+      if (index >= path.length) {
+        if (!loop) { stop(); return; }
+        index = 0;
+      }
+      start(path[index]);
+    },
+  };
+}
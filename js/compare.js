@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { MM_PER_MODEL_UNIT } from './measure.js';
+
+// Revision compare — the installed model (A) against another revision (B),
+// loaded through loadModel and placed exactly like A:
+//   Side by side — B stands to the right of A
+//   Swipe        — B over A; the screen splits at a draggable line, A on the
+//                  left, B on the right (each side a full post-processed frame)
+//   Diff         — B over A in flat colours: added (only in B) green, removed
+//                  (only in A) red, changed (moved or resized) amber, the rest faint
+// Parts are the outermost named nodes holding meshes, matched by name; repeated
+// names (screws, fans) pair up by nearest position. Boxes are compared in model
+// units (metres) with a 0.5 mm tolerance.
+
+export const COMPARE_LAYOUTS = ['Side by side', 'Swipe', 'Diff'];
+export const CHANGE_KINDS = ['added', 'removed', 'changed'];
+
+const TOLERANCE = 0.5 / MM_PER_MODEL_UNIT; // model units
+const SIDE_GAP = 0.2; // of the model width
+
+const DIFF_COLORS = { added: 0x3fb950, removed: 0xf85149, changed: 0xf0a030, unchanged: 0x9aa0a6 };
+
+function createDiffMaterials() {
+  const materials = {};
+  Object.entries(DIFF_COLORS).forEach(([kind, color]) => {
+    const faint = kind === 'unchanged';
+    materials[kind] = new THREE.MeshStandardMaterial({
+      color, roughness: 0.6, metalness: 0, transparent: faint, opacity: faint ? 0.15 : 1, depthWrite: !faint,
+    });
+  });
+  return materials;
+}
+
+// name → [{ node, box }], boxes in the root's local space (model units)
+function partsOf(root) {
+  root.updateMatrixWorld(true);
+  const inverse = root.matrixWorld.clone().invert();
+  const parts = new Map();
+  const visit = (obj) => {
+    if (obj.userData.slot) return; // configurator sub-assembly, not in the file
+    const isPart = obj !== root && obj.name && (obj.isMesh || obj.children.some((c) => c.isMesh));
+    if (!isPart) {
+      obj.children.forEach(visit);
+      return;
+    }
+    const box = new THREE.Box3().setFromObject(obj, true).applyMatrix4(inverse);
+    if (!parts.has(obj.name)) parts.set(obj.name, []);
+    parts.get(obj.name).push({ node: obj, box });
+  };
+  visit(root);
+  return parts;
+}
+
+const centerA = new THREE.Vector3();
+const centerB = new THREE.Vector3();
+
+// Same-named parts, nearest first; leftovers on either side pair with null
+function pairUp(listA, listB) {
+  const left = [...listB];
+  const pairs = listA.map((a) => {
+    a.box.getCenter(centerA);
+    let best = -1;
+    let bestDist = Infinity;
+    left.forEach((b, i) => {
+      const d = b.box.getCenter(centerB).distanceTo(centerA);
+      if (d < bestDist) { bestDist = d; best = i; }
+    });
+    return [a, best >= 0 ? left.splice(best, 1)[0] : null];
+  });
+  return [...pairs, ...left.map((b) => [null, b])];
+}
+
+// [{ name, kind: 'added' | 'removed' | 'changed' | 'unchanged', a, b, moved, resized }]
+// a / b are the part's nodes in each model; moved / resized in mm
+export function diffModels(rootA, rootB) {
+  const partsA = partsOf(rootA);
+  const partsB = partsOf(rootB);
+  const sizeA = new THREE.Vector3();
+  const sizeB = new THREE.Vector3();
+  const entries = [];
+  new Set([...partsA.keys(), ...partsB.keys()]).forEach((name) => {
+    pairUp(partsA.get(name) ?? [], partsB.get(name) ?? []).forEach(([a, b]) => {
+      if (!a || !b) {
+        entries.push({ name, kind: a ? 'removed' : 'added', a: a?.node ?? null, b: b?.node ?? null });
+        return;
+      }
+      const moved = a.box.getCenter(centerA).distanceTo(b.box.getCenter(centerB));
+      const resized = a.box.getSize(sizeA).distanceTo(b.box.getSize(sizeB));
+      const kind = moved > TOLERANCE || resized > TOLERANCE ? 'changed' : 'unchanged';
+      entries.push({ name, kind, a: a.node, b: b.node, moved: moved * MM_PER_MODEL_UNIT, resized: resized * MM_PER_MODEL_UNIT });
+    });
+  });
+  return entries.sort((x, y) => x.name.localeCompare(y.name));
+}
+
+function disposeTree(obj) {
+  obj.traverse((c) => {
+    if (!c.isMesh) return;
+    c.geometry.dispose();
+    (Array.isArray(c.material) ? c.material : [c.material]).forEach((m) => m.dispose());
+  });
+}
+
+// onChange() — started, stopped or the layout changed
+export function createCompare(parent, { scene, renderer, onChange }) {
+  const diffMaterials = createDiffMaterials();
+  let a = null;
+  let b = null;
+  let revisions = { from: '', to: '' };
+  let entries = [];
+  let layout = 'Side by side';
+  let swipe = 0.5;
+  let width = 0; // A's width along x, for side by side
+  const painted = new Map(); // mesh → its own material, while diffing
+  const hidden = new Set(); // A's meshes taken off layer 0 while diffing
+
+  // --- Swipe line ---
+  const divider = document.createElement('div');
+  divider.className = 'compare-divider hidden';
+  divider.innerHTML =
+    `<span class="compare-divider-label left"></span>` +
+    `<span class="compare-divider-handle"></span>` +
+    `<span class="compare-divider-label right"></span>`;
+  parent.appendChild(divider);
+  let dragging = false;
+  divider.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    dragging = true;
+    divider.setPointerCapture(e.pointerId);
+  });
+  divider.addEventListener('pointermove', (e) => {
+    if (dragging) api.swipe = e.clientX / window.innerWidth;
+  });
+  divider.addEventListener('pointerup', () => { dragging = false; });
+
+  // --- Diff colours ---
+  function paint(mesh, kind) {
+    if (!painted.has(mesh)) painted.set(mesh, mesh.material);
+    mesh.material = diffMaterials[kind];
+  }
+
+  function applyDiff() {
+    const kindA = new Map();
+    const kindB = new Map();
+    entries.forEach((e) => {
+      e.a?.traverse((c) => kindA.set(c, e.kind));
+      e.b?.traverse((c) => kindB.set(c, e.kind));
+    });
+    // A only shows what B lost
+    a.traverse((c) => {
+      if (!c.isMesh) return;
+      if (kindA.get(c) === 'removed') paint(c, 'removed');
+      else if (c.layers.isEnabled(0)) {
+        c.layers.disable(0);
+        hidden.add(c);
+      }
+    });
+    b.traverse((c) => { if (c.isMesh) paint(c, kindB.get(c) ?? 'unchanged'); });
+  }
+
+  function clearDiff() {
+    painted.forEach((material, mesh) => { mesh.material = material; });
+    painted.clear();
+    hidden.forEach((c) => c.layers.enable(0));
+    hidden.clear();
+  }
+
+  function setLayout(v) {
+    clearDiff();
+    layout = v;
+    b.position.copy(a.position);
+    if (layout === 'Side by side') b.position.x += width * (1 + SIDE_GAP);
+    if (layout === 'Diff') applyDiff();
+    divider.classList.toggle('hidden', layout !== 'Swipe');
+    onChange?.();
+  }
+
+  const size = new THREE.Vector2();
+
+  const api = {
+    get active() { return b !== null; },
+    get revisions() { return revisions; },
+    get entries() { return entries; },
+    // Both models, e.g. to frame them
+    get objects() { return b ? [a, b] : []; },
+    // Start with A assembled; B is the loaded revision, compare takes it over
+    start(modelA, modelB, from, to) {
+      api.stop();
+      a = modelA;
+      b = modelB;
+      b.position.copy(a.position);
+      b.quaternion.copy(a.quaternion);
+      b.scale.copy(a.scale);
+      b.userData.modelScale = a.userData.modelScale;
+      scene.add(b);
+      revisions = { from, to };
+      entries = diffModels(a, b);
+      width = new THREE.Box3().setFromObject(a, true).getSize(new THREE.Vector3()).x;
+      divider.querySelector('.left').textContent = `REV-${from}`;
+      divider.querySelector('.right').textContent = `REV-${to}`;
+      setLayout(layout);
+    },
+    // Hand A back as it was and drop B; a no-op when not comparing
+    stop() {
+      if (!b) return;
+      clearDiff();
+      scene.remove(b);
+      disposeTree(b);
+      a = b = null;
+      entries = [];
+      divider.classList.add('hidden');
+      onChange?.();
+    },
+    get layout() { return layout; },
+    set layout(v) {
+      if (!COMPARE_LAYOUTS.includes(v)) return;
+      if (b) setLayout(v);
+      else layout = v;
+    },
+    get swipe() { return swipe; },
+    set swipe(v) {
+      swipe = THREE.MathUtils.clamp(v, 0, 1);
+      divider.style.left = `${swipe * 100}%`;
+    },
+    // The part's node to look at: B's, or A's for removed parts
+    objectOf(entry) {
+      return entry.b ?? entry.a;
+    },
+    get splitting() { return b !== null && layout === 'Swipe'; },
+    // Swipe: render(), twice, each model alone on its side of the line
+    renderSplit(render) {
+      renderer.getSize(size);
+      const split = Math.round(size.x * swipe);
+      const shownA = a.visible;
+      renderer.setScissorTest(true);
+      b.visible = false;
+      renderer.setScissor(0, 0, split, size.y);
+      render();
+      b.visible = true;
+      a.visible = false;
+      renderer.setScissor(split, 0, size.x - split, size.y);
+      render();
+      a.visible = shownA;
+      renderer.setScissorTest(false);
+    },
+  };
+  api.swipe = swipe;
+  return api;
+}
@@ -0,0 +1,77 @@
+import { COMPARE_LAYOUTS, CHANGE_KINDS } from './compare.js';
+
+// Compare panel — layout picker and the change list between two revisions,
+// grouped as added / removed / changed. It only draws compare state; picks go
+// back through the callbacks.
+
+function formatChange(entry) {
+  if (entry.kind !== 'changed') return '';
+  const parts = [];
+  if (entry.moved > 0.05) parts.push(`moved ${entry.moved.toFixed(1)} mm`);
+  if (entry.resized > 0.05) parts.push(`resized ${entry.resized.toFixed(1)} mm`);
+  return parts.join(', ');
+}
+
+// callbacks: { onLayout(layout), onPick(entry), onClose() }
+export function createComparePanel(parent, { onLayout, onPick, onClose }) {
+  const el = document.createElement('aside');
+  el.className = 'compare-panel hidden';
+  el.innerHTML =
+    `<header class="compare-panel-header">` +
+      `<span class="compare-title"></span>` +
+      `<button class="compare-panel-close" aria-label="Stop comparing">×</button>` +
+    `</header>` +
+    `<select class="compare-layout"></select>` +
+    `<p class="compare-summary"></p>` +
+    `<div class="compare-changes"></div>`;
+  parent.appendChild(el);
+
+  const titleEl = el.querySelector('.compare-title');
+  const layoutEl = el.querySelector('.compare-layout');
+  const summaryEl = el.querySelector('.compare-summary');
+  const changesEl = el.querySelector('.compare-changes');
+  COMPARE_LAYOUTS.forEach((l) => layoutEl.add(new Option(l, l)));
+  layoutEl.addEventListener('change', () => onLayout(layoutEl.value));
+  el.querySelector('.compare-panel-close').addEventListener('click', () => onClose());
+
+  function renderChanges(entries) {
+    changesEl.innerHTML = '';
+    CHANGE_KINDS.forEach((kind) => {
+      const list = entries.filter((e) => e.kind === kind);
+      if (!list.length) return;
+      const heading = document.createElement('h4');
+      heading.className = `compare-kind ${kind}`;
+      heading.textContent = `${kind} (${list.length})`;
+      const ul = document.createElement('ul');
+      list.forEach((entry) => {
+        const li = document.createElement('li');
+        li.className = 'compare-change';
+        const name = document.createElement('span');
+        name.textContent = entry.name;
+        const detail = document.createElement('span');
+        detail.className = 'compare-change-detail';
+        detail.textContent = formatChange(entry);
+        li.append(name, detail);
+        li.addEventListener('click', () => onPick(entry));
+        ul.appendChild(li);
+      });
+      changesEl.append(heading, ul);
+    });
+  }
+
+  const api = {
+    // compare: createCompare() state ({ revisions, layout, entries })
+    render({ revisions, layout, entries }) {
+      titleEl.textContent = `REV-${revisions.from} → REV-${revisions.to}`;
+      layoutEl.value = layout;
+      const count = (kind) => entries.filter((e) => e.kind === kind).length;
+      summaryEl.textContent = entries.length
+        ? [...CHANGE_KINDS, 'unchanged'].map((kind) => `${count(kind)} ${kind}`).join(' · ')
+        : 'no parts to compare';
+      renderChanges(entries);
+    },
+    get open() { return !el.classList.contains('hidden'); },
+    set open(v) { el.classList.toggle('hidden', !v); },
+  };
+  return api;
+}
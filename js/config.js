@@ -38,9 +38,13 @@ export const defaults = {
     toneMapping: 'ACESFilmic',
     exposure: 1.1,
     smaa: true,
+    // Ambient occlusion
+    ssao: true,
+    ssaoIntensity: 1.2,
+    ssaoRadius: 0.12,
     // Depth of Field
     dof: true,
-    dofFocus: 2.5,
+    dofFocusOffset: 0, // from the orbit target, which stays in focus
     dofAperture: 0.002,
     dofMaxBlur: 0.004,
     // Film effects (ScandinavianFilmShader)
@@ -0,0 +1,213 @@
+import { findAllByMatcher, localize } from './manifest.js';
+import { downloadJson } from './files.js';
+
+// Product configurator. Slots come from the manifest's `slots` (see manifest.js);
+// each shows one option at a time:
+//   match → variant nodes already in the model; the other options' nodes are hidden
+//   model → a GLB sub-assembly, authored in the anchor's local frame, added under
+//           each anchor while the anchor's own geometry is hidden
+// Hidden geometry is taken off layer 0, which cameras, shadow maps and raycasts
+// test, so `visible` stays with the part toggles and the parts tree.
+// A slot's hotspot follows the chosen option (desc, details, marker position).
+
+const FILE_VERSION = 1;
+
+function matchAll(root, matchers) {
+  const list = Array.isArray(matchers) ? matchers : [matchers];
+  const found = new Set(list.flatMap((m) => findAllByMatcher(root, m)));
+  // Substring matchers also hit descendants of a match; keep the outermost nodes
+  return [...found].filter((obj) => {
+    for (let p = obj.parent; p; p = p.parent) if (found.has(p)) return false;
+    return true;
+  });
+}
+
+function setShown(objects, shown) {
+  objects.forEach((obj) => obj.traverse((c) => {
+    if (shown) c.layers.enable(0);
+    else c.layers.disable(0);
+  }));
+}
+
+function disposeTree(obj) {
+  obj.traverse((c) => {
+    if (!c.isMesh) return;
+    c.geometry.dispose();
+    (Array.isArray(c.material) ? c.material : [c.material]).forEach((m) => m.dispose());
+  });
+}
+
+const defaultOption = (slot) => slot.options.find((o) => o.id === slot.default) ?? slot.options[0];
+
+// An option without details is the part the hotspot already describes
+function detailsOf(option, hotspot) {
+  return option.details ?? hotspot?.details ?? {};
+}
+
+function sumPrices(prices) {
+  const totals = {};
+  prices.forEach((p) => { totals[p.currency] = (totals[p.currency] ?? 0) + p.amount; });
+  return Object.entries(totals).map(([currency, amount]) => ({ amount: Math.round(amount * 100) / 100, currency }));
+}
+
+// loadGLTF(path) → Promise<gltf>; prepare(scene) sets up a loaded sub-assembly's materials
+// onChange(slot, option, objects) — objects are what now shows for the slot
+export function createConfigurator({ loadGLTF, prepare, onChange }) {
+  let root = null;
+  let slots = [];
+  const choices = new Map(); // slot id → option id; kept across quality switches
+  const attached = new Map(); // slot id → sub-assembly copies in the model
+  let sources = new Map(); // GLB path → Promise of the loaded scene (only copies are added)
+  let generation = 0; // bumped per model, so loads that finish late are dropped
+
+  const slotById = (id) => slots.find((s) => s.id === id);
+  const optionOf = (slot) => slot.options.find((o) => o.id === choices.get(slot.id)) ?? defaultOption(slot);
+
+  function anchorsOf(slot) {
+    const matcher = slot.anchor ?? defaultOption(slot).match ?? slot.options.find((o) => o.match)?.match;
+    return matcher ? matchAll(root, matcher) : [];
+  }
+
+  function loadSource(path) {
+    if (!sources.has(path)) {
+      const promise = loadGLTF(path).then((gltf) => {
+        prepare(gltf.scene);
+        return gltf.scene;
+      });
+      promise.catch(() => { sources.delete(path); }); // let a later pick retry
+      sources.set(path, promise);
+    }
+    return sources.get(path);
+  }
+
+  // Show the slot's chosen option, hide the rest. Resolves with the objects now
+  // showing, or null if the choice changed while a sub-assembly was loading.
+  async function apply(slot) {
+    const option = optionOf(slot);
+    const gen = generation;
+    const source = option.model ? await loadSource(option.model) : null;
+    if (gen !== generation || optionOf(slot) !== option) return null;
+
+    (attached.get(slot.id) ?? []).forEach((obj) => obj.removeFromParent());
+    attached.delete(slot.id);
+    // Options with neither match nor model show the default's geometry
+    const geometry = option.match || option.model ? option : defaultOption(slot);
+    const anchors = anchorsOf(slot);
+    setShown(anchors, true);
+    let shown = anchors;
+    slot.options.forEach((o) => {
+      if (!o.match) return;
+      const nodes = matchAll(root, o.match);
+      setShown(nodes, o === geometry);
+      if (o === geometry) shown = nodes;
+    });
+    if (source) {
+      setShown(anchors, false);
+      shown = anchors.map((anchor) => {
+        const copy = source.clone();
+        copy.userData.slot = slot.id; // not part of the model file (compare.js skips it)
+        anchor.add(copy);
+        return copy;
+      });
+      attached.set(slot.id, shown);
+    }
+    return shown;
+  }
+
+  async function applyAndNotify(slot) {
+    const shown = await apply(slot);
+    if (shown) onChange?.(slot, optionOf(slot), shown);
+  }
+
+  async function choose(slotId, optionId) {
+    const slot = slotById(slotId);
+    if (!slot?.options.some((o) => o.id === optionId) || optionOf(slot).id === optionId) return;
+    const previous = choices.get(slotId);
+    choices.set(slotId, optionId);
+    try {
+      await applyAndNotify(slot);
+    } catch (err) {
+      // Sub-assembly failed to load: stay on what is showing
+      if (previous === undefined) choices.delete(slotId);
+      else choices.set(slotId, previous);
+      throw err;
+    }
+  }
+
+  // One line per slot (its chosen option) plus every priced hotspot no slot covers
+  function billOfMaterials(hotspots, locales) {
+    const text = (v) => localize(v, locales);
+    const covered = new Set(slots.map((s) => s.hotspot));
+    const lines = slots.map((slot) => {
+      const option = optionOf(slot);
+      const specs = detailsOf(option, hotspots.find((h) => h.id === slot.hotspot)).specs ?? {};
+      return { slot: slot.id, option: option.id, label: text(slot.label), name: text(option.label), sku: text(specs.sku), price: specs.price ?? null };
+    });
+    hotspots.forEach((hs) => {
+      const specs = hs.details?.specs;
+      if (covered.has(hs.id) || !specs?.price) return;
+      lines.push({ part: hs.id, label: text(hs.title), name: text(hs.desc), sku: text(specs.sku), price: specs.price });
+    });
+    return { lines, totals: sumPrices(lines.filter((l) => l.price).map((l) => l.price)) };
+  }
+
+  return {
+    get slots() { return slots; },
+    optionOf: (slotId) => optionOf(slotById(slotId)),
+    // Shows the saved choices on a freshly installed model; choices its slots lack are dropped
+    setModel(m, defs) {
+      generation++;
+      root = m;
+      slots = defs;
+      attached.clear(); // the copies went with the old model
+      const old = sources;
+      sources = new Map();
+      old.forEach((p) => p.then(disposeTree, () => {}));
+      [...choices].forEach(([id, optionId]) => {
+        if (!slotById(id)?.options.some((o) => o.id === optionId)) choices.delete(id);
+      });
+      return Promise.all(slots.map((slot) => applyAndNotify(slot).catch((err) => {
+        console.warn(`Configurator: slot "${slot.id}" failed, showing the model's own part:`, err);
+        choices.delete(slot.id);
+        return applyAndNotify(slot);
+      })));
+    },
+    choose,
+    // Non-default choices, { slot id: option id } (deep links)
+    get customized() {
+      const out = {};
+      slots.forEach((slot) => {
+        const option = optionOf(slot);
+        if (option !== defaultOption(slot)) out[slot.id] = option.id;
+      });
+      return out;
+    },
+    // Omitted slots go back to their default
+    setCustomized(config) {
+      return Promise.all(slots.map((slot) => choose(slot.id, config[slot.id] ?? defaultOption(slot).id)));
+    },
+    // Panel model: slot pickers with prices, bill of materials and totals
+    summary(hotspots) {
+      return {
+        slots: slots.map((slot) => {
+          const hotspot = hotspots.find((h) => h.id === slot.hotspot);
+          return {
+            id: slot.id,
+            label: localize(slot.label),
+            chosen: optionOf(slot).id,
+            options: slot.options.map((o) => ({ id: o.id, label: localize(o.label), price: detailsOf(o, hotspot).specs?.price ?? null })),
+          };
+        }),
+        ...billOfMaterials(hotspots),
+      };
+    },
+    // Order-system export: English names, one item per line, totals per currency
+    exportJSON(modelName, hotspots) {
+      const configuration = {};
+      slots.forEach((slot) => { configuration[slot.id] = optionOf(slot).id; });
+      const { lines, totals } = billOfMaterials(hotspots, ['en']);
+      const items = lines.map(({ label, ...item }) => ({ ...item, category: label, quantity: 1 }));
+      downloadJson({ version: FILE_VERSION, model: modelName, configuration, items, totals }, `angl-configuration-${(modelName || 'model').replace(/[^\w-]+/g, '_')}.json`);
+    },
+  };
+}
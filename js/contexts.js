@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+// Aesthetic contexts — shelf, wall and lighting looks the viewer scrolls
+// through. Colors and positions are fresh objects on every call, so callers
+// may adjust their copy.
+//   plankTex / wallTex: texture names (see assetSources.texture)
+//   background, wall*, plank*, bracket*: surface colors and finishes
+//   ambient* / key* / fill* / rim*: light colors, intensities, key position
+//   exposure, envRotation: tone mapping exposure, HDRI rotation (radians)
+export function createContexts() {
+  const C = THREE.Color, V = THREE.Vector3;
+  return [
+    { // 1 — Light oak shelf, warm white plaster wall, matte black brackets
+      name: 'Scandinavian',
+      plankTex: 'oak_veneer_01', wallTex: 'white_plaster_02',
+      background: new C(0xf0ebe3),
+      wall: new C(0xf0ebe3), wallRoughness: 0.95, wallMetalness: 0.0,
+      plank: new C(0xc8a87c),
+      plankRoughness: 0.65, plankMetalness: 0.0, plankClearcoat: 0.15,
+      bracket: new C(0x222222), bracketRoughness: 0.4, bracketMetalness: 0.85,
+      ambientIntensity: 0.4, ambientColor: new C(0xffffff),
+      keyIntensity: 2.2, keyColor: new C(0xfff5e6), keyPos: new V(3, 4, 2),
+      fillIntensity: 0.8, fillColor: new C(0x8899bb),
+      rimIntensity: 1.2, rimColor: new C(0xffddaa),
+      exposure: 1.1, envRotation: 0,
+    },
+    { // 2 — Polished white marble shelf, light grey wall, chrome brackets
+      name: 'Marble',
+      plankTex: 'marble_01', wallTex: 'grey_plaster_03',
+      background: new C(0xe8eaef),
+      wall: new C(0xe0e3e8), wallRoughness: 0.3, wallMetalness: 0.0,
+      plank: new C(0xf2f2f8),
+      plankRoughness: 0.08, plankMetalness: 0.0, plankClearcoat: 0.7, plankClearcoatRoughness: 0.15,
+      bracket: new C(0xcccccc), bracketRoughness: 0.15, bracketMetalness: 0.95,
+      ambientIntensity: 0.5, ambientColor: new C(0xeef0ff),
+      keyIntensity: 1.8, keyColor: new C(0xffffff), keyPos: new V(4, 3, 3),
+      fillIntensity: 0.7, fillColor: new C(0x99aacc),
+      rimIntensity: 0.8, rimColor: new C(0xddeeff),
+      exposure: 1.05, envRotation: Math.PI * 0.3,
+    },
+    { // 3 — Light concrete shelf, pale grey wall, brushed nickel brackets
+      name: 'Minimal',
+      plankTex: 'concrete_wall_003', wallTex: 'concrete_wall_003',
+      background: new C(0xd8d8d8),
+      wall: new C(0xd0d0d0), wallRoughness: 0.92, wallMetalness: 0.0,
+      plank: new C(0xc0c0c0),
+      plankRoughness: 0.95, plankMetalness: 0.0, plankClearcoat: 0.0,
+      bracket: new C(0x999999), bracketRoughness: 0.35, bracketMetalness: 0.8,
+      ambientIntensity: 0.45, ambientColor: new C(0xeeeeff),
+      keyIntensity: 1.8, keyColor: new C(0xffffff), keyPos: new V(2, 5, 3),
+      fillIntensity: 0.9, fillColor: new C(0xbbccdd),
+      rimIntensity: 0.6, rimColor: new C(0xddddee),
+      exposure: 1.1, envRotation: Math.PI * 0.6,
+    },
+    { // 4 — Rich walnut shelf, warm linen wall, brushed brass brackets
+      name: 'Walnut',
+      plankTex: 'walnut_veneer', wallTex: 'white_plaster_02',
+      background: new C(0xe8e0d4),
+      wall: new C(0xe4dcd0), wallRoughness: 0.88, wallMetalness: 0.0,
+      plank: new C(0x5a3a22),
+      plankRoughness: 0.5, plankMetalness: 0.0, plankClearcoat: 0.4,
+      bracket: new C(0xb89860), bracketRoughness: 0.4, bracketMetalness: 0.8,
+      ambientIntensity: 0.35, ambientColor: new C(0xfff8ee),
+      keyIntensity: 2.0, keyColor: new C(0xfff0dd), keyPos: new V(3, 4, 2),
+      fillIntensity: 0.6, fillColor: new C(0xbbaa88),
+      rimIntensity: 1.0, rimColor: new C(0xeeddbb),
+      exposure: 1.05, envRotation: Math.PI * 0.9,
+    },
+    { // 5 — Brushed stainless shelf, soft white wall, matching steel brackets
+      name: 'Steel',
+      plankTex: 'metal_plate', wallTex: 'grey_plaster_03',
+      background: new C(0xe8e8ec),
+      wall: new C(0xe0e0e5), wallRoughness: 0.6, wallMetalness: 0.0,
+      plank: new C(0xb0b0b8),
+      plankRoughness: 0.3, plankMetalness: 0.9, plankClearcoat: 0.1,
+      bracket: new C(0x888890), bracketRoughness: 0.25, bracketMetalness: 0.92,
+      ambientIntensity: 0.4, ambientColor: new C(0xeeeeff),
+      keyIntensity: 2.0, keyColor: new C(0xffffff), keyPos: new V(3, 5, 1),
+      fillIntensity: 0.6, fillColor: new C(0x99aabb),
+      rimIntensity: 1.2, rimColor: new C(0xccddee),
+      exposure: 1.15, envRotation: Math.PI * 1.2,
+    },
+    { // 6 — Warm terracotta shelf, cream stucco wall, dark bronze brackets
+      name: 'Terracotta',
+      plankTex: 'concrete_wall_003', wallTex: 'white_plaster_02',
+      background: new C(0xece0d0),
+      wall: new C(0xe8dcc8), wallRoughness: 0.9, wallMetalness: 0.0,
+      plank: new C(0xc08060),
+      plankRoughness: 0.85, plankMetalness: 0.0, plankClearcoat: 0.0,
+      bracket: new C(0x4a3828), bracketRoughness: 0.5, bracketMetalness: 0.75,
+      ambientIntensity: 0.4, ambientColor: new C(0xfff0dd),
+      keyIntensity: 2.0, keyColor: new C(0xffeecc), keyPos: new V(4, 4, 2),
+      fillIntensity: 0.6, fillColor: new C(0xccaa88),
+      rimIntensity: 0.8, rimColor: new C(0xffddbb),
+      exposure: 1.05, envRotation: Math.PI * 1.5,
+    },
+    { // 7 — Glossy black lacquer shelf, dark charcoal wall, gold brackets
+      name: 'Noir',
+      plankTex: 'dark_wood', wallTex: 'grey_plaster_03',
+      background: new C(0x1a1a1a),
+      wall: new C(0x151515), wallRoughness: 0.4, wallMetalness: 0.0,
+      plank: new C(0x0e0e0e),
+      plankRoughness: 0.05, plankMetalness: 0.0, plankClearcoat: 0.95, plankClearcoatRoughness: 0.1,
+      bracket: new C(0xc8a050), bracketRoughness: 0.2, bracketMetalness: 0.95,
+      ambientIntensity: 0.15, ambientColor: new C(0xffffff),
+      keyIntensity: 2.8, keyColor: new C(0xfff0dd), keyPos: new V(4, 5, 1),
+      fillIntensity: 0.2, fillColor: new C(0x333333),
+      rimIntensity: 2.0, rimColor: new C(0xddaa44),
+      exposure: 1.3, envRotation: Math.PI * 0.5,
+    },
+    { // 8 — White ceramic shelf, soft sage wall, copper brackets
+      name: 'Sage',
+      plankTex: 'marble_01', wallTex: 'white_plaster_02',
+      background: new C(0xd8ddd4),
+      wall: new C(0xd0d8cc), wallRoughness: 0.85, wallMetalness: 0.0,
+      plank: new C(0xf0efea),
+      plankRoughness: 0.2, plankMetalness: 0.0, plankClearcoat: 0.5, plankClearcoatRoughness: 0.25,
+      bracket: new C(0xcc7744), bracketRoughness: 0.35, bracketMetalness: 0.88,
+      ambientIntensity: 0.45, ambientColor: new C(0xf0f5ee),
+      keyIntensity: 1.8, keyColor: new C(0xffffff), keyPos: new V(2, 4, 3),
+      fillIntensity: 0.7, fillColor: new C(0x99aa88),
+      rimIntensity: 0.9, rimColor: new C(0xffcc99),
+      exposure: 1.1, envRotation: Math.PI * 1.8,
+    },
+    { // 9 — Light ash wood shelf, soft blush wall, rose gold brackets
+      name: 'Blush',
+      plankTex: 'oak_veneer_01', wallTex: 'white_plaster_02',
+      background: new C(0xf0e0dd),
+      wall: new C(0xecdad6), wallRoughness: 0.85, wallMetalness: 0.0,
+      plank: new C(0xe0cbb5),
+      plankRoughness: 0.6, plankMetalness: 0.0, plankClearcoat: 0.2,
+      bracket: new C(0xcc9988), bracketRoughness: 0.3, bracketMetalness: 0.85,
+      ambientIntensity: 0.45, ambientColor: new C(0xfff0ee),
+      keyIntensity: 1.8, keyColor: new C(0xffeedd), keyPos: new V(3, 4, 2),
+      fillIntensity: 0.7, fillColor: new C(0xddaaaa),
+      rimIntensity: 0.9, rimColor: new C(0xffccbb),
+      exposure: 1.1, envRotation: Math.PI * 0.7,
+    },
+    { // 10 — Smoked oak shelf, warm greige wall, oxidized brass brackets
+      name: 'Gallery',
+      plankTex: 'dark_wood', wallTex: 'grey_plaster_03',
+      background: new C(0xe0dcd5),
+      wall: new C(0xdad6ce), wallRoughness: 0.8, wallMetalness: 0.0,
+      plank: new C(0x7a6a55),
+      plankRoughness: 0.55, plankMetalness: 0.0, plankClearcoat: 0.3,
+      bracket: new C(0x887755), bracketRoughness: 0.55, bracketMetalness: 0.7,
+      ambientIntensity: 0.4, ambientColor: new C(0xfff5ee),
+      keyIntensity: 1.8, keyColor: new C(0xfff8ee), keyPos: new V(3, 4, 2),
+      fillIntensity: 0.6, fillColor: new C(0xbbaa88),
+      rimIntensity: 0.8, rimColor: new C(0xddccaa),
+      exposure: 1.05, envRotation: Math.PI * 1.1,
+    },
+  ];
+}
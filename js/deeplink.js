@@ -0,0 +1,100 @@
+// Shareable viewer state in the URL hash, e.g.
+//   #ctx=6&view=Rear&orbit=2.9,0.4&proj=persp&zoom=2.5&target=0.1,0.3,0&explode=1&hide=Solid2&tag=gpu&panel=2b2b2b&cfg=gpu:rtx-5080
+// zoom is the magnification over the default framing, target the orbit center
+// and orbit a free azimuth,elevation (radians) that no view preset matches;
+// cfg is a configurator choice (slot:option) that differs from the default.
+// Only non-default values are written. Every settled change becomes a history
+// entry, so back/forward step through the viewer states.
+
+const DEFAULT_VIEW = 'Front';
+const DEFAULT_PROJECTION = 'Orthographic';
+
+function formatList(values, digits) {
+  return values.map((v) => v.toFixed(digits)).join(',');
+}
+
+function parseList(str, length) {
+  if (!str) return null;
+  const values = str.split(',').map(Number);
+  return values.length === length && values.every(Number.isFinite) ? values : null;
+}
+
+export function encodeState(state) {
+  const p = new URLSearchParams();
+  if (state.ctx) p.set('ctx', String(state.ctx));
+  if (state.view && state.view !== DEFAULT_VIEW) p.set('view', state.view);
+  if (state.orbit) p.set('orbit', formatList(state.orbit, 3));
+  if (state.projection && state.projection !== DEFAULT_PROJECTION) {
+    p.set('proj', state.projection === 'Perspective' ? 'persp' : 'ortho');
+  }
+  if (state.zoom && Math.abs(state.zoom - 1) >= 0.005) p.set('zoom', state.zoom.toFixed(2));
+  if (state.target) p.set('target', formatList(state.target, 3));
+  if (state.explode) p.set('explode', '1');
+  (state.hidden || []).forEach((name) => p.append('hide', name));
+  (state.tags || []).forEach((id) => p.append('tag', id));
+  if (state.panelColor) p.set('panel', state.panelColor.replace(/^#/, ''));
+  Object.entries(state.config || {}).forEach(([slot, option]) => p.append('cfg', `${slot}:${option}`));
+  return p.toString();
+}
+
+export function decodeState(str) {
+  const p = new URLSearchParams(str.replace(/^[#?]/, ''));
+  const ctx = parseInt(p.get('ctx'), 10);
+  const panel = p.get('panel');
+  const zoom = parseFloat(p.get('zoom'));
+  return {
+    ctx: Number.isFinite(ctx) ? ctx : 0,
+    view: p.get('view') || DEFAULT_VIEW,
+    projection: p.get('proj') === 'persp' ? 'Perspective' : DEFAULT_PROJECTION,
+    orbit: parseList(p.get('orbit'), 2),
+    zoom: zoom > 0 ? zoom : 1,
+    target: parseList(p.get('target'), 3),
+    explode: p.get('explode') === '1',
+    hidden: p.getAll('hide'),
+    tags: p.getAll('tag'),
+    panelColor: panel && /^[0-9a-f]{6}$/i.test(panel) ? '#' + panel.toLowerCase() : null,
+    config: Object.fromEntries(p.getAll('cfg').map((c) => c.split(':')).filter((c) => c.length === 2 && c[0] && c[1])),
+  };
+}
+
+// getState() returns the live state, or null while it is in flux (mid-wipe).
+// applyState(state, { initial }) pushes a decoded state into the viewer.
+// Call update() once per frame; a change is committed after it has been stable for `delay` ms.
+export function createDeepLink({ getState, applyState, delay = 400 }) {
+  let committed = location.hash.slice(1);
+  let pending = committed;
+  let pendingSince = 0;
+  // After applying a URL, rewrite it in canonical form instead of adding an entry
+  let replaceNext = true;
+
+  function write(encoded) {
+    const url = location.pathname + location.search + (encoded ? '#' + encoded : '');
+    if (replaceNext) history.replaceState(null, '', url);
+    else history.pushState(null, '', url);
+    committed = encoded;
+    replaceNext = false;
+  }
+
+  window.addEventListener('popstate', () => {
+    committed = pending = location.hash.slice(1);
+    replaceNext = true;
+    applyState(decodeState(committed), { initial: false });
+  });
+
+  return {
+    applyInitial() {
+      applyState(decodeState(committed), { initial: true });
+    },
+    update() {
+      const state = getState();
+      if (!state) return;
+      const encoded = encodeState(state);
+      const now = performance.now();
+      if (encoded !== pending) {
+        pending = encoded;
+        pendingSince = now;
+      }
+      if (pending !== committed && now - pendingSince >= delay) write(pending);
+    },
+  };
+}
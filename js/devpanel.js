@@ -0,0 +1,53 @@
+// Developer panel — a small on-screen list of content problems (manifest
+// schema errors, unmatched hotspots, missing assets, ...). It appears as soon
+// as a section reports something and can be dismissed until the next report.
+
+export function createDevPanel(parent = document.querySelector('.viewer-main')) {
+  const el = document.createElement('aside');
+  el.className = 'dev-panel hidden';
+  el.innerHTML =
+    `<header class="dev-panel-header">` +
+      `<span>developer</span>` +
+      `<button class="dev-panel-close" aria-label="Close">×</button>` +
+    `</header>` +
+    `<div class="dev-panel-body"></div>`;
+  parent.appendChild(el);
+
+  const body = el.querySelector('.dev-panel-body');
+  const sections = new Map(); // title → messages[]
+
+  el.querySelector('.dev-panel-close').addEventListener('click', () => {
+    el.classList.add('hidden');
+  });
+
+  function render() {
+    body.innerHTML = '';
+    sections.forEach((messages, title) => {
+      const section = document.createElement('section');
+      const heading = document.createElement('h4');
+      heading.textContent = `${title} (${messages.length})`;
+      const list = document.createElement('ul');
+      messages.forEach((msg) => {
+        const li = document.createElement('li');
+        li.textContent = msg;
+        list.appendChild(li);
+      });
+      section.append(heading, list);
+      body.appendChild(section);
+    });
+    el.classList.toggle('hidden', sections.size === 0);
+  }
+
+  return {
+    // Replaces the messages of one section; an empty list removes it
+    report(title, messages) {
+      if (messages.length) sections.set(title, messages);
+      else sections.delete(title);
+      render();
+    },
+    clear(title) {
+      sections.delete(title);
+      render();
+    },
+  };
+}
@@ -0,0 +1,90 @@
+import { localize } from './manifest.js';
+
+// Hotspot detail drawer — opened from the chevron on a tag card.
+// Content comes from the hotspot's `details` block in the model manifest:
+//   details: { description, specs: { dimensions, weight, sku, price: { amount, currency } } }
+
+const SPEC_ROWS = [
+  ['dimensions', 'Dimensions'],
+  ['weight', 'Weight'],
+  ['sku', 'Vendor SKU'],
+  ['price', 'Price'],
+];
+
+export function formatPrice(price) {
+  if (!price) return '';
+  try {
+    return new Intl.NumberFormat(navigator.language, { style: 'currency', currency: price.currency }).format(price.amount);
+  } catch {
+    return `${price.amount} ${price.currency}`;
+  }
+}
+
+// actions: { isolate(inst), focus(inst), explode(inst) }
+export function createDetailDrawer(el, actions) {
+  el.innerHTML =
+    `<header class="detail-drawer-header">` +
+      `<div>` +
+        `<h2 class="detail-drawer-title"></h2>` +
+        `<p class="detail-drawer-subtitle"></p>` +
+      `</div>` +
+      `<button class="detail-drawer-close" aria-label="Close">×</button>` +
+    `</header>` +
+    `<p class="detail-drawer-text"></p>` +
+    `<table class="detail-drawer-specs"><tbody></tbody></table>` +
+    `<div class="detail-drawer-actions">` +
+      `<button data-action="isolate">Isolate this part</button>` +
+      `<button data-action="focus">Focus camera</button>` +
+      `<button data-action="explode">Show in exploded view</button>` +
+    `</div>`;
+
+  const titleEl = el.querySelector('.detail-drawer-title');
+  const subtitleEl = el.querySelector('.detail-drawer-subtitle');
+  const textEl = el.querySelector('.detail-drawer-text');
+  const specsEl = el.querySelector('.detail-drawer-specs');
+  const specsBody = specsEl.querySelector('tbody');
+  let current = null;
+
+  function close() {
+    current = null;
+    el.classList.remove('open');
+  }
+
+  function open(inst) {
+    current = inst;
+    const hs = inst.data;
+    const details = hs.details || {};
+    titleEl.textContent = localize(hs.title);
+    subtitleEl.textContent = localize(hs.desc);
+    textEl.textContent = localize(details.description);
+    textEl.hidden = !details.description;
+
+    specsBody.innerHTML = '';
+    const specs = details.specs || {};
+    SPEC_ROWS.forEach(([key, label]) => {
+      if (specs[key] === undefined) return;
+      const row = specsBody.insertRow();
+      row.insertCell().textContent = label;
+      row.insertCell().textContent = key === 'price' ? formatPrice(specs.price) : localize(specs[key]);
+    });
+    specsEl.hidden = specsBody.rows.length === 0;
+
+    el.classList.add('open');
+  }
+
+  el.querySelector('.detail-drawer-close').addEventListener('click', close);
+  el.querySelectorAll('[data-action]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (current) actions[btn.dataset.action](current);
+    });
+  });
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && current) close();
+  });
+
+  return {
+    open,
+    close,
+    get current() { return current; },
+  };
+}
@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+import { matchesAny } from './manifest.js';
+
+// Sequenced exploded view. The manifest's `explode` block authors the order:
+//   {
+//     distance: 0.3,              // default travel, world units (model is normalized to ~1)
+//     duration: 2,                // seconds for a full assemble ⇄ explode run
+//     rest: { start, end },       // timeline window for meshes no step claims
+//     sequence: [
+//       { id, group?, match?, axis?: [x, y, z] | 'radial', distance?, start?, end? }
+//     ]
+//   }
+// The timeline t runs 0 (assembled) → 1 (exploded); each step moves its parts
+// within its own [start, end] window. A mesh belongs to the first step that
+// claims it (by toggle group id or node-name matcher, on itself or an ancestor).
+
+export const EXPLODE_DEFAULTS = { distance: 0.3, duration: 2 };
+
+function radialDirection(center, modelCenter) {
+  const dir = new THREE.Vector3().subVectors(center, modelCenter);
+  // Clamp: don't let parts go downward (y < 0 in world = into the shelf)
+  dir.y = Math.max(dir.y, 0.05);
+  return dir.normalize();
+}
+
+// groups: toggle groups from buildToggleMap ({ id, members })
+export function buildExplodeParts(root, config = {}, groups = []) {
+  const steps = config.sequence || [];
+  const n = steps.length + 1; // + the implicit rest step
+  const defaultDistance = config.distance ?? EXPLODE_DEFAULTS.distance;
+
+  // Objects claimed by each step
+  const stepRoots = steps.map((step) => {
+    const set = new Set();
+    const group = groups.find((g) => g.id === step.group);
+    group?.members.forEach((m) => set.add(m));
+    if (step.match !== undefined) {
+      root.traverse((c) => { if (c.name && matchesAny(c.name, step.match)) set.add(c); });
+    }
+    return set;
+  });
+
+  function stepOf(mesh) {
+    for (let i = 0; i < steps.length; i++) {
+      for (let o = mesh; o && o !== root; o = o.parent) {
+        if (stepRoots[i].has(o)) return i;
+      }
+    }
+    return -1;
+  }
+
+  root.updateWorldMatrix(true, true);
+  const modelCenter = new THREE.Box3().setFromObject(root).getCenter(new THREE.Vector3());
+  const box = new THREE.Box3();
+  const toLocal = new THREE.Matrix3();
+  const parts = [];
+
+  // Go deep — every mesh is an explode unit
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    const i = stepOf(child);
+    const step = i >= 0 ? steps[i] : (config.rest || {});
+    const start = step.start ?? (i >= 0 ? i / n : (n - 1) / n);
+    const end = step.end ?? (i >= 0 ? (i + 1) / n : 1);
+
+    box.setFromObject(child);
+    const dir = Array.isArray(step.axis)
+      ? new THREE.Vector3().fromArray(step.axis).normalize()
+      : radialDirection(box.getCenter(new THREE.Vector3()), modelCenter);
+    const worldOffset = dir.multiplyScalar(step.distance ?? defaultDistance);
+
+    // World-space offset → parent-local offset (rotation and scale)
+    if (child.parent) toLocal.setFromMatrix4(child.parent.matrixWorld).invert();
+    const offset = child.parent ? worldOffset.applyMatrix3(toLocal) : worldOffset;
+
+    parts.push({ object: child, originalPos: child.position.clone(), offset, start, end, step: i });
+  });
+  console.log('Explode parts:', parts.length, 'in', steps.length, 'authored steps');
+  return parts;
+}
+
+// Move one part along its own path (p: 0 = in place, 1 = fully out)
+export function placePart(part, p) {
+  part.object.position.copy(part.originalPos).addScaledVector(part.offset, p);
+}
+
+// Place every part for timeline position t (0 = assembled, 1 = exploded)
+export function applyExplode(parts, t) {
+  parts.forEach((part) => {
+    placePart(part, THREE.MathUtils.smoothstep(t, part.start, part.end));
+  });
+}
@@ -0,0 +1,35 @@
+// Browser file I/O: downloads, and picking a JSON file to import.
+
+export function download(blob, filename) {
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+export function downloadJson(data, filename) {
+  download(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+}
+
+// Opens a file picker and resolves with parse(text, file) for the chosen JSON
+// file, or null when the picker is dismissed; rejects with parse errors.
+// Dismissing only settles where the input fires `cancel` (current browsers).
+export function pickJsonFile(parse) {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('cancel', () => resolve(null));
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) { resolve(null); return; }
+      try {
+        resolve(parse(await file.text(), file));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    input.click();
+  });
+}
@@ -1,6 +1,18 @@
 import * as THREE from 'three';
 import GUI from 'lil-gui';
 import { defaults } from './config.js';
+import {
+  listPresets, presetToSettings, settingsToPreset,
+  saveUserPreset, deleteUserPreset, exportPreset, importPresetFile,
+} from './presets.js';
+import {
+  EASINGS, DEFAULT_TRAVEL, loadBookmarks, saveBookmarks, exportBookmarks, importBookmarksFile,
+} from './bookmarks.js';
+import { RESOLUTIONS, FORMATS } from './recorder.js';
+import { STILL_SIZES, STILL_FORMATS } from './still.js';
+import {
+  FINISHES, listFinishes, resolveFinish, saveUserFinish, exportAssignments, importAssignmentsFile,
+} from './materials.js';
 
 const TONE_MAPPINGS = {
   ACESFilmic: THREE.ACESFilmicToneMapping,
@@ -16,7 +28,8 @@ function updateMaterials(model, params) {
   model.traverse((child) => {
     if (child.isMesh && child.material) {
       const mat = child.material;
-      if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
+      // Parts with their own finish (materials.js) keep it
+      if ((mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) && !mat.userData.finish) {
         mat.metalness = params.metalness;
         mat.roughness = params.roughness;
         if (mat.isMeshPhysicalMaterial) {
@@ -30,9 +43,10 @@ function updateMaterials(model, params) {
 }
 
 export function createGUI(ctx) {
-  const { renderer, scene, camera, model, lights, groundPlane, grid, bloomPass, smaaPass, ssaoPass, bokehPass, filmPass, flarePass, toggleMap, loadModel, setView, switchCamera, viewNames, wipeDirections, setWipeDirection, sway } = ctx;
+  const { renderer, scene, camera, model, lights, lightOverrides, groundPlane, grid, bloomPass, smaaPass, ssaoPass, bokehPass, filmPass, flarePass, getToggleMap, onModelChange, explode, guide, isolation, isolationModes, partsTree, bomPanel, measure, annotations, section, compare, panel, partMaterials, loadModel, modelAvailability, setView, switchCamera, getZoom, setZoom, zoomRange, frameSelection, cameraBookmarks, video, still, getView, getCameraType, viewNames, wipeDirections, setWipeDirection, setFov, getFov, setFocusOffset, sway } = ctx;
 
   let currentModel = model;
+  onModelChange((m) => { currentModel = m; });
   const gui = new GUI({ title: 'ANGL Viewer' });
 
   const settings = {
@@ -60,7 +74,7 @@ export function createGUI(ctx) {
     ssaoRadius: ssaoPass.kernelRadius,
     // DoF
     dof: bokehPass.enabled,
-    dofFocus: bokehPass.uniforms.focus.value,
+    dofFocusOffset: defaults.postprocessing.dofFocusOffset,
     dofAperture: bokehPass.uniforms.aperture.value,
     dofMaxBlur: bokehPass.uniforms.maxblur.value,
     // Contact shadows
@@ -88,15 +102,140 @@ export function createGUI(ctx) {
     cameraSway: sway.enabled,
   };
 
+  // --- Presets ---
+  // Applying a preset drives the regular controllers (so onChange handlers run
+  // and the sliders reflect the new values), then sets what has no controller.
+  const presetsFolder = gui.addFolder('Presets');
+  const presetState = { preset: 'studio', name: 'my-look' };
+  let presetList = listPresets();
+
+  function applyPreset(preset) {
+    const values = presetToSettings(preset);
+    gui.controllersRecursive().forEach((c) => {
+      if (c.object === settings && c.property in values) c.setValue(values[c.property]);
+    });
+
+    const l = preset.lighting || {};
+    ['ambientColor', 'keyColor', 'fillColor', 'rimColor'].forEach((k) => {
+      if (l[k]) lightOverrides[k] = l[k];
+    });
+    if (l.keyPosition) lightOverrides.keyPos = new THREE.Vector3().copy(l.keyPosition);
+    if (l.fillPosition) lightOverrides.fillPos = new THREE.Vector3().copy(l.fillPosition);
+    if (l.rimPosition) lightOverrides.rimPos = new THREE.Vector3().copy(l.rimPosition);
+
+    if (preset.shadows?.mapSize && preset.shadows.mapSize !== lights.keyLight.shadow.mapSize.x) {
+      lights.keyLight.shadow.mapSize.set(preset.shadows.mapSize, preset.shadows.mapSize);
+      // Shadow map is reallocated lazily at the new size
+      lights.keyLight.shadow.map?.dispose();
+      lights.keyLight.shadow.map = null;
+    }
+    if (preset.ground?.shadowOpacity !== undefined) groundPlane.material.opacity = preset.ground.shadowOpacity;
+
+    const swayPreset = preset.cameraSway || {};
+    ['azimuthAmount', 'elevationAmount', 'speed'].forEach((k) => {
+      if (swayPreset[k] !== undefined) sway[k] = swayPreset[k];
+    });
+
+    const camPreset = preset.camera || {};
+    if (camPreset.fov) setFov(camPreset.fov);
+    gui.controllersRecursive().forEach((c) => {
+      if (c.object === camSettings && camPreset[c.property] !== undefined) c.setValue(camPreset[c.property]);
+    });
+  }
+
+  // Snapshot of the current look in preset form
+  function currentPreset() {
+    const hex = (c) => '#' + c.getHexString();
+    const pos = (p) => ({ x: p.x, y: p.y, z: p.z });
+    return settingsToPreset(settings, {
+      lighting: {
+        ambientColor: hex(lights.ambient.color),
+        keyColor: hex(lights.keyLight.color),
+        keyPosition: pos(lights.keyLight.position),
+        fillColor: hex(lights.fillLight.color),
+        fillPosition: pos(lights.fillLight.position),
+        rimColor: hex(lights.rimLight.color),
+        rimPosition: pos(lights.rimLight.position),
+      },
+      camera: { fov: getFov(), projection: camSettings.projection, view: camSettings.view },
+      cameraSway: { azimuthAmount: sway.azimuthAmount, elevationAmount: sway.elevationAmount, speed: sway.speed },
+      shadows: { mapSize: lights.keyLight.shadow.mapSize.x },
+      ground: { shadowOpacity: groundPlane.material.opacity },
+    });
+  }
+
+  function refreshPresetList(selectLabel) {
+    presetList = listPresets();
+    presetState.preset = selectLabel;
+    presetCtrl.options(Object.keys(presetList));
+  }
+
+  const presetCtrl = presetsFolder.add(presetState, 'preset', Object.keys(presetList)).name('Preset').onChange((label) => {
+    if (presetList[label]) applyPreset(presetList[label].preset);
+  });
+  presetsFolder.add(presetState, 'name').name('Name');
+  presetsFolder.add({
+    save: () => {
+      const name = presetState.name.trim();
+      if (!name) return;
+      saveUserPreset(name, currentPreset());
+      refreshPresetList(`★ ${name}`);
+    },
+  }, 'save').name('Save current');
+  presetsFolder.add({
+    remove: () => {
+      const entry = presetList[presetState.preset];
+      if (!entry || !entry.user) return;
+      deleteUserPreset(entry.name);
+      refreshPresetList('studio');
+    },
+  }, 'remove').name('Delete preset');
+  presetsFolder.add({
+    exportJSON: () => {
+      const entry = presetList[presetState.preset];
+      // Export the live state: that is what the designer is looking at
+      exportPreset(presetState.name.trim() || entry?.name || 'preset', currentPreset());
+    },
+  }, 'exportJSON').name('Export JSON');
+  presetsFolder.add({
+    importJSON: async () => {
+      try {
+        const imported = await importPresetFile();
+        if (!imported) return;
+        saveUserPreset(imported.name, imported.preset);
+        refreshPresetList(`★ ${imported.name}`);
+        applyPreset(imported.preset);
+      } catch (err) {
+        console.error('Preset import failed:', err);
+        alert('Preset import failed — ' + err.message);
+      }
+    },
+  }, 'importJSON').name('Import JSON');
+
   // --- Display ---
   const display = gui.addFolder('Display');
-  display.add(settings, 'model', ['optimized', 'full']).name('Model quality').onChange(async (v) => {
+  const qualities = ['optimized', 'full'];
+  const modelCtrl = display.add(settings, 'model', qualities).name('Model quality').onChange(async (v) => {
     currentModel = await loadModel(v);
   });
+  // Files known to be missing can't be picked; the dropdown shows what actually loaded
+  function syncModelQuality(m) {
+    [...modelCtrl.$select.options].forEach((opt, i) => {
+      opt.disabled = modelAvailability[qualities[i]] === false;
+    });
+    if (qualities.includes(m.userData.variant)) {
+      settings.model = m.userData.variant;
+      modelCtrl.updateDisplay();
+    }
+  }
+  syncModelQuality(model);
+  onModelChange(syncModelQuality);
   display.add(settings, 'wireframe').onChange(v => {
     currentModel.traverse(c => { if (c.isMesh) c.material.wireframe = v; });
   });
   display.add(settings, 'ground').onChange(v => { groundPlane.visible = v; });
+  display.add(partsTree, 'open').name('Parts tree (P)').listen();
+  display.add(bomPanel, 'open').name('Configurator (B)').listen();
 
   // --- Material ---
   const mat = gui.addFolder('Material');
@@ -105,56 +244,178 @@ export function createGUI(ctx) {
   mat.add(settings, 'clearcoat', 0, 1, 0.01).onChange(() => { updateMaterials(currentModel, settings); });
   mat.add(settings, 'clearcoatRoughness', 0, 1, 0.01).onChange(() => { updateMaterials(currentModel, settings); });
 
-  // Case panel color (Solid2.002–029 group members only)
-  if (toggleMap && toggleMap.groupMembers.length > 0) {
-    const panels = toggleMap.groupMembers;
-    const panelSettings = { panelColor: '#c1a085' };
-    // Apply default color immediately
-    const defaultCol = new THREE.Color(panelSettings.panelColor);
-    panels.forEach((obj) => {
-      obj.traverse((c) => {
-        if (c.isMesh && c.material) {
-          c.material.color.copy(defaultCol);
-          c.material.needsUpdate = true;
-        }
-      });
-    });
-    mat.addColor(panelSettings, 'panelColor').name('Panel color').onChange(v => {
-      const col = new THREE.Color(v);
-      panels.forEach((obj) => {
-        obj.traverse((c) => {
-          if (c.isMesh && c.material) {
-            c.material.color.copy(col);
-            c.material.needsUpdate = true;
-          }
-        });
-      });
+  // Case panel color (colorable toggle groups); main.js owns the value
+  const panelColorCtrl = mat.addColor(panel, 'color').name('Panel color').listen();
+
+  // --- Parts (one checkbox per toggle group, rebuilt per model) ---
+  const partsFolder = gui.addFolder('Parts');
+
+  function buildPartsFolder() {
+    partsFolder.controllersRecursive().forEach((c) => c.destroy());
+    const toggleMap = getToggleMap();
+    toggleMap.groups.forEach((group) => {
+      const proxy = {
+        get visible() { return group.members.some((m) => m.visible); },
+        set visible(v) { group.members.forEach((m) => { m.visible = v; }); },
+      };
+      partsFolder.add(proxy, 'visible').name(group.label).listen();
     });
+    panelColorCtrl.show(toggleMap.colorable.length > 0);
+  }
+  buildPartsFolder();
+  onModelChange(buildPartsFolder);
+
+  // --- Part materials (materials.js) ---
+  // Edits apply to the part selected in the parts tree (P), or to a whole toggle
+  // group. Picking a finish assigns it; the sliders override it for that target.
+  const pmFolder = gui.addFolder('Part materials');
+  const { editor: pmEditor, getSelection, onSelectionChange } = partMaterials;
+  const SELECTED_PART = 'Selected part';
+  let pmTargets = {}; // target label → 'group:<id>', or null for the selection
+  const pmState = { target: SELECTED_PART, finish: Object.keys(FINISHES)[0], ...FINISHES[Object.keys(FINISHES)[0]], name: '', status: '' };
+
+  function pmTargetKey() {
+    if (pmTargets[pmState.target]) return pmTargets[pmState.target];
+    const part = getSelection()[0];
+    return part ? pmEditor.targetOf(part) : null;
+  }
+
+  // Show the target's finish, or the picked finish for a target that has none yet
+  function syncPartMaterial() {
+    const key = pmTargetKey();
+    const assigned = key && pmEditor.find(key);
+    if (assigned) pmState.finish = assigned.finish;
+    Object.assign(pmState, assigned ? resolveFinish(assigned) : resolveFinish({ finish: pmState.finish }));
+    if (!key) pmState.status = 'select a part (P)';
+    else pmState.status = assigned ? `${(assigned.name ?? key.slice(key.indexOf(':') + 1)) || 'unnamed part'} — ${assigned.finish}` : 'default material';
+    pmFolder.controllersRecursive().forEach((c) => c.updateDisplay());
+  }
+
+  function buildTargetList() {
+    pmTargets = { [SELECTED_PART]: null };
+    getToggleMap().groups.forEach((g) => { pmTargets[`Group: ${g.label}`] = `group:${g.id}`; });
+    if (!(pmState.target in pmTargets)) pmState.target = SELECTED_PART;
+    pmTargetCtrl.options(Object.keys(pmTargets));
+    syncPartMaterial();
+  }
+
+  function refreshFinishList() {
+    pmFinishCtrl.options(Object.keys(listFinishes()));
+    syncPartMaterial();
+  }
+
+  function onFinishChange(v) {
+    const key = pmTargetKey();
+    if (key) pmEditor.assign(key, v);
+    syncPartMaterial();
+  }
+
+  // A slider on an unassigned target first assigns the picked finish
+  function overrideProp(prop) {
+    return (v) => {
+      const key = pmTargetKey();
+      if (!key) return;
+      if (!pmEditor.find(key)) pmEditor.assign(key, pmState.finish);
+      pmEditor.override(key, prop, v);
+      syncPartMaterial();
+    };
   }
 
+  const pmTargetCtrl = pmFolder.add(pmState, 'target', [SELECTED_PART]).name('Target').onChange(syncPartMaterial);
+  const pmFinishCtrl = pmFolder.add(pmState, 'finish', Object.keys(listFinishes())).name('Finish').onChange(onFinishChange);
+  pmFolder.addColor(pmState, 'color').name('Base color').onChange(overrideProp('color'));
+  pmFolder.add(pmState, 'metalness', 0, 1, 0.01).name('Metalness').onChange(overrideProp('metalness'));
+  pmFolder.add(pmState, 'roughness', 0, 1, 0.01).name('Roughness').onChange(overrideProp('roughness'));
+  pmFolder.add(pmState, 'clearcoat', 0, 1, 0.01).name('Clearcoat').onChange(overrideProp('clearcoat'));
+  pmFolder.add(pmState, 'clearcoatRoughness', 0, 1, 0.01).name('Clearcoat roughness').onChange(overrideProp('clearcoatRoughness'));
+  pmFolder.addColor(pmState, 'emissive').name('Emissive').onChange(overrideProp('emissive'));
+  pmFolder.add(pmState, 'emissiveIntensity', 0, 10, 0.1).name('Emissive intensity').onChange(overrideProp('emissiveIntensity'));
+  pmFolder.add(pmState, 'normalScale', 0, 3, 0.05).name('Normal strength').onChange(overrideProp('normalScale'));
+  pmFolder.add({
+    clear: () => {
+      const key = pmTargetKey();
+      if (key) pmEditor.clear(key);
+      syncPartMaterial();
+    },
+  }, 'clear').name('Reset to model material');
+  pmFolder.add(pmState, 'name').name('Finish name');
+  pmFolder.add({
+    saveFinish: () => {
+      const name = pmState.name.trim();
+      if (!name) return;
+      if (FINISHES[name]) {
+        alert(`"${name}" is a built-in finish — pick another name`);
+        return;
+      }
+      const props = {};
+      Object.keys(FINISHES[Object.keys(FINISHES)[0]]).forEach((k) => { props[k] = pmState[k]; });
+      saveUserFinish(name, props);
+      pmState.finish = name;
+      pmState.name = '';
+      refreshFinishList();
+    },
+  }, 'saveFinish').name('Save as finish');
+  pmFolder.add({ exportJSON: () => { exportAssignments(pmEditor.modelKey, pmEditor.assignments); } }, 'exportJSON').name('Export JSON');
+  pmFolder.add({
+    importJSON: async () => {
+      try {
+        const imported = await importAssignmentsFile();
+        if (!imported) return;
+        pmEditor.replace(imported);
+        refreshFinishList();
+      } catch (err) {
+        console.error('Material import failed:', err);
+        alert('Material import failed — ' + err.message);
+      }
+    },
+  }, 'importJSON').name('Import JSON');
+  pmFolder.add(pmState, 'status').name('Editing').disable().listen();
+  buildTargetList();
+  onModelChange(buildTargetList);
+  onSelectionChange(() => { if (pmState.target === SELECTED_PART) syncPartMaterial(); });
+
+  // --- Exploded view ---
+  const explodeFolder = gui.addFolder('Explode');
+  explodeFolder.add(explode, 'exploded').name('Exploded (E)').listen();
+  explodeFolder.add(explode, 't', 0, 1, 0.001).name('Timeline').listen();
+  // Only for models whose manifest has a guide
+  const guideCtrl = explodeFolder.add({ start: () => guide.start() }, 'start').name('Assembly guide (G)');
+  guideCtrl.show(guide.available);
+  onModelChange(() => { guideCtrl.show(guide.available); });
+
+  // --- Isolation ---
+  const iso = gui.addFolder('Isolation');
+  iso.add(isolation, 'mode', isolationModes).name('Style');
+  iso.add(isolation, 'opacity', 0, 1, 0.01).name('Opacity').listen();
+  iso.add({ unisolate: () => isolation.unisolate() }, 'unisolate').name('Unisolate (U)');
+
   // --- Lighting ---
   const light = gui.addFolder('Lighting');
   light.add(settings, 'toneMapping', Object.keys(TONE_MAPPINGS)).onChange(v => {
     renderer.toneMapping = TONE_MAPPINGS[v];
   });
   light.add(settings, 'exposure', 0.1, 3, 0.05).onChange(v => {
-    renderer.toneMappingExposure = v;
+    lightOverrides.exposure = v;
   });
   light.add(settings, 'envIntensity', 0, 2, 0.05).onChange(v => {
     scene.environmentIntensity = v;
   });
+  // Light values are overrides: the active context supplies them until a slider moves
   light.add(settings, 'ambientIntensity', 0, 3, 0.05).onChange(v => {
-    lights.ambient.intensity = v;
+    lightOverrides.ambientIntensity = v;
   });
   light.add(settings, 'directIntensity', 0, 5, 0.1).onChange(v => {
-    lights.keyLight.intensity = v;
+    lightOverrides.keyIntensity = v;
   });
   light.add(settings, 'fillIntensity', 0, 3, 0.05).onChange(v => {
-    lights.fillLight.intensity = v;
+    lightOverrides.fillIntensity = v;
   });
   light.add(settings, 'rimIntensity', 0, 3, 0.05).onChange(v => {
-    lights.rimLight.intensity = v;
+    lightOverrides.rimIntensity = v;
   });
+  light.add({
+    reset: () => { Object.keys(lightOverrides).forEach((k) => { delete lightOverrides[k]; }); },
+  }, 'reset').name('Follow context');
 
   // --- Post-processing ---
   const post = gui.addFolder('Post-processing');
@@ -170,7 +431,7 @@ export function createGUI(ctx) {
   // --- Depth of Field ---
   const dofFolder = gui.addFolder('Depth of Field');
   dofFolder.add(settings, 'dof').name('Enable').onChange(v => { bokehPass.enabled = v; });
-  dofFolder.add(settings, 'dofFocus', 0.1, 10, 0.1).name('Focus distance').onChange(v => { bokehPass.uniforms.focus.value = v; });
+  dofFolder.add(settings, 'dofFocusOffset', -1, 1, 0.01).name('Focus offset').onChange(v => { setFocusOffset(v); });
   dofFolder.add(settings, 'dofAperture', 0, 0.01, 0.0001).name('Aperture').onChange(v => { bokehPass.uniforms.aperture.value = v; });
   dofFolder.add(settings, 'dofMaxBlur', 0, 0.02, 0.0005).name('Max blur').onChange(v => { bokehPass.uniforms.maxblur.value = v; });
   dofFolder.close();
@@ -224,20 +485,279 @@ export function createGUI(ctx) {
 
   // --- Camera ---
   const cam = gui.addFolder('Camera');
+  // Backed by the viewer state so keyboard, clicks and deep links stay in sync
   const camSettings = {
-    projection: 'Orthographic',
-    view: 'Front',
+    get projection() { return getCameraType(); },
+    set projection(v) { switchCamera(v); },
+    get view() { return getView(); },
+    set view(v) { setView(v); },
+    get zoom() { return getZoom(); },
+    set zoom(v) { setZoom(v); },
+  };
+  cam.add(camSettings, 'projection', ['Perspective', 'Orthographic']).name('Projection').listen();
+  cam.add(camSettings, 'view', viewNames).name('View').listen();
+  cam.add(camSettings, 'zoom', zoomRange.min, zoomRange.max, 0.01).name('Zoom').listen();
+  cam.add({ frameSelection }, 'frameSelection').name('Frame selection (F)');
+
+  // --- Dimensions + measuring (measure.js) ---
+  const measureFolder = gui.addFolder('Dimensions');
+  measureFolder.add(measure, 'size').name('Size (W × H × D)').disable().listen();
+  measureFolder.add(measure.tool, 'showDimensions').name('Dimension lines (D)').listen();
+  measureFolder.add(measure.tool, 'active').name('Measure (M)').listen();
+  measureFolder.add({ clear: () => { measure.tool.clear(); } }, 'clear').name('Clear measurements');
+
+  // --- Review annotations (annotations.js) ---
+  const notesFolder = gui.addFolder('Annotations');
+  notesFolder.add(annotations.pins, 'active').name('Place pins (N)').listen();
+  notesFolder.add(annotations.panel, 'open').name('Show list').listen();
+  notesFolder.add(annotations.pins, 'showResolved').name('Show resolved').listen();
+
+  // --- Revision compare (compare.js) ---
+  const compareFolder = gui.addFolder('Compare revisions');
+  // The revision before this one is the usual comparison
+  const previous = /^[B-Z]$/.test(compare.revision) ? String.fromCharCode(compare.revision.charCodeAt(0) - 1) : '';
+  let compareMessage = ''; // loading / failed, else the state speaks for itself
+  const compareState = {
+    revision: previous,
+    get status() {
+      const { active, revisions } = compare.tool;
+      return compareMessage || (active ? `REV-${revisions.from} ↔ REV-${revisions.to}` : `showing REV-${compare.revision}`);
+    },
   };
-  cam.add(camSettings, 'projection', ['Perspective', 'Orthographic']).name('Projection').onChange(v => {
-    switchCamera(v);
+  compareFolder.add(compareState, 'revision').name('Other revision');
+  compareFolder.add({
+    start: async () => {
+      const revision = compareState.revision.trim().toUpperCase();
+      if (!revision || revision === compare.revision) return;
+      compareMessage = `loading REV-${revision}...`;
+      try {
+        await compare.start(revision);
+        compareMessage = '';
+      } catch (err) {
+        compareMessage = `REV-${revision} failed`;
+        console.error('Compare failed:', err);
+        alert('Compare failed — ' + err.message);
+      }
+    },
+  }, 'start').name('Compare');
+  compareFolder.add(compare.tool, 'layout', compare.layouts).name('Layout').listen();
+  compareFolder.add(compare.tool, 'swipe', 0, 1, 0.001).name('Swipe').listen();
+  compareFolder.add({
+    stop: () => {
+      compare.tool.stop();
+      compareMessage = '';
+    },
+  }, 'stop').name('Stop comparing');
+  compareFolder.add(compareState, 'status').name('Status').disable().listen();
+
+  // --- Section view (section.js) ---
+  const sectionFolder = gui.addFolder('Section');
+  const cut = section.tool.settings;
+  sectionFolder.add(cut, 'mode', section.modes).name('Cut').onChange(showSectionCtrls);
+  const planeCtrls = [
+    sectionFolder.add(cut, 'axis', section.axes).name('Axis'),
+    sectionFolder.add(cut, 'offset', 0, 1, 0.001).name('Offset'),
+    sectionFolder.add(cut, 'flip').name('Flip side'),
+  ];
+  const boxCtrls = section.axes.flatMap((axis) => ['Min', 'Max'].map((end) =>
+    sectionFolder.add(cut, `${axis.toLowerCase()}${end}`, 0, 1, 0.001).name(`Box ${axis} ${end.toLowerCase()}`)));
+  sectionFolder.add(cut, 'cap', section.capStyles).name('Cap');
+  sectionFolder.addColor(cut, 'capColor').name('Cap color');
+  function showSectionCtrls() {
+    planeCtrls.forEach((c) => c.show(cut.mode === 'Plane'));
+    boxCtrls.forEach((c) => c.show(cut.mode === 'Box'));
+  }
+  showSectionCtrls();
+
+  // --- Camera bookmarks + flythrough ---
+  // Picking a bookmark flies there; travel settings belong to the selected
+  // bookmark and time the flythrough segment that arrives at it.
+  const bmFolder = gui.addFolder('Bookmarks');
+  const { getCamera, flythrough } = cameraBookmarks;
+  let bookmarks = loadBookmarks();
+  const bmState = { bookmark: bookmarks[0]?.name ?? '', name: `View ${bookmarks.length + 1}`, ...DEFAULT_TRAVEL, loop: true };
+
+  const selectedBookmark = () => bookmarks.find((b) => b.name === bmState.bookmark);
+
+  function syncTravel() {
+    Object.assign(bmState, DEFAULT_TRAVEL, selectedBookmark()?.travel);
+    travelCtrls.forEach((c) => c.updateDisplay());
+  }
+
+  function refreshBookmarkList(selectName) {
+    bmState.bookmark = selectName ?? bookmarks[0]?.name ?? '';
+    bmCtrl.options(bookmarks.map((b) => b.name));
+    syncTravel();
+  }
+
+  function updateTravel() {
+    const b = selectedBookmark();
+    if (!b) return;
+    b.travel = { duration: bmState.duration, hold: bmState.hold, easing: bmState.easing };
+    saveBookmarks(bookmarks);
+  }
+
+  const bmCtrl = bmFolder.add(bmState, 'bookmark', bookmarks.map((b) => b.name)).name('Bookmark').onChange(() => {
+    syncTravel();
+    const b = selectedBookmark();
+    if (b) flythrough.goTo(b);
   });
-  cam.add(camSettings, 'view', viewNames).name('View').onChange(v => {
-    setView(v);
+  bmFolder.add(bmState, 'name').name('Name');
+  bmFolder.add({
+    save: () => {
+      const name = bmState.name.trim();
+      if (!name) return;
+      const existing = bookmarks.find((b) => b.name === name);
+      if (existing) existing.camera = getCamera();
+      else bookmarks.push({ name, camera: getCamera(), travel: { ...DEFAULT_TRAVEL } });
+      saveBookmarks(bookmarks);
+      bmState.name = `View ${bookmarks.length + 1}`;
+      refreshBookmarkList(name);
+      bmFolder.controllersRecursive().forEach((c) => c.updateDisplay());
+    },
+  }, 'save').name('Save current view');
+  bmFolder.add({
+    remove: () => {
+      bookmarks = bookmarks.filter((b) => b.name !== bmState.bookmark);
+      saveBookmarks(bookmarks);
+      refreshBookmarkList();
+    },
+  }, 'remove').name('Delete bookmark');
+  bmFolder.add({
+    moveUp: () => {
+      const i = bookmarks.findIndex((b) => b.name === bmState.bookmark);
+      if (i <= 0) return;
+      [bookmarks[i - 1], bookmarks[i]] = [bookmarks[i], bookmarks[i - 1]];
+      saveBookmarks(bookmarks);
+      refreshBookmarkList(bmState.bookmark);
+    },
+  }, 'moveUp').name('Move earlier');
+  const travelCtrls = [
+    bmFolder.add(bmState, 'duration', 0.2, 10, 0.1).name('Travel (s)').onChange(updateTravel),
+    bmFolder.add(bmState, 'hold', 0, 15, 0.1).name('Hold (s)').onChange(updateTravel),
+    bmFolder.add(bmState, 'easing', Object.keys(EASINGS)).name('Easing').onChange(updateTravel),
+  ];
+  bmFolder.add(bmState, 'loop').name('Loop flythrough');
+  bmFolder.add({
+    play: () => {
+      if (flythrough.playing) flythrough.stop();
+      else flythrough.play(bookmarks, { loop: bmState.loop });
+    },
+  }, 'play').name('Play / stop flythrough');
+  bmFolder.add({ exportJSON: () => { exportBookmarks(bookmarks); } }, 'exportJSON').name('Export JSON');
+  bmFolder.add({
+    importJSON: async () => {
+      try {
+        const imported = await importBookmarksFile();
+        if (!imported) return;
+        // Same name replaces, new names are appended
+        imported.forEach((b) => {
+          const i = bookmarks.findIndex((o) => o.name === b.name);
+          if (i >= 0) bookmarks[i] = b;
+          else bookmarks.push(b);
+        });
+        saveBookmarks(bookmarks);
+        refreshBookmarkList(imported[0]?.name);
+      } catch (err) {
+        console.error('Bookmark import failed:', err);
+        alert('Bookmark import failed — ' + err.message);
+      }
+    },
+  }, 'importJSON').name('Import JSON');
+  syncTravel();
+
+  // --- Video recorder ---
+  const recFolder = gui.addFolder('Recorder');
+  const recState = {
+    resolution: '1920×1080',
+    fps: 30,
+    duration: 8,
+    shot: 'Turntable',
+    from: video.contextNames[0],
+    to: video.contextNames[1] ?? video.contextNames[0],
+    format: FORMATS[0],
+    status: 'idle',
+  };
+  recFolder.add(recState, 'shot', video.shots).name('Shot').onChange(syncShot);
+  const wipeCtrls = [
+    recFolder.add(recState, 'from', video.contextNames).name('From context'),
+    recFolder.add(recState, 'to', video.contextNames).name('To context'),
+  ];
+  recFolder.add(recState, 'resolution', Object.keys(RESOLUTIONS)).name('Resolution');
+  recFolder.add(recState, 'fps', [24, 25, 30, 60]).name('FPS');
+  recFolder.add(recState, 'duration', 1, 60, 0.5).name('Duration (s)');
+  recFolder.add(recState, 'format', FORMATS).name('Format');
+  recFolder.add({
+    record: async () => {
+      const [width, height] = RESOLUTIONS[recState.resolution];
+      try {
+        recState.status = 'starting...';
+        await video.record({
+          shot: recState.shot, from: recState.from, to: recState.to,
+          width, height, fps: recState.fps, duration: recState.duration, format: recState.format,
+          onProgress: (i, n) => { recState.status = `frame ${i} / ${n}`; },
+        });
+        recState.status = 'done';
+      } catch (err) {
+        recState.status = 'idle';
+        if (err.message === 'cancelled') return;
+        console.error('Recording failed:', err);
+        alert('Recording failed — ' + err.message);
+      }
+    },
+  }, 'record').name('Record');
+  recFolder.add({ cancel: video.cancel }, 'cancel').name('Cancel');
+  recFolder.add(recState, 'status').name('Status').disable().listen();
+
+  function syncShot() {
+    wipeCtrls.forEach((c) => c.show(recState.shot === 'Context wipe'));
+  }
+  syncShot();
+
+  // --- Still render ---
+  const stillFolder = gui.addFolder('Render still');
+  const stillState = { size: '3840×2160 (4K)', width: 3840, height: 2160, format: STILL_FORMATS[0], transparent: false, status: 'idle' };
+  stillFolder.add(stillState, 'size', Object.keys(STILL_SIZES)).name('Preset').onChange((v) => {
+    [stillState.width, stillState.height] = STILL_SIZES[v];
+    stillFolder.controllers.forEach((c) => c.updateDisplay());
   });
+  stillFolder.add(stillState, 'width', 64, 16384, 1).name('Width');
+  stillFolder.add(stillState, 'height', 64, 16384, 1).name('Height');
+  stillFolder.add(stillState, 'format', STILL_FORMATS).name('Format');
+  stillFolder.add(stillState, 'transparent').name('Transparent background');
+  stillFolder.add({
+    render: async () => {
+      stillState.status = 'rendering...';
+      // Let the status paint before the render blocks the page
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      try {
+        const { width, height, format, transparent } = stillState;
+        await still.render({ width, height, format, transparent });
+        stillState.status = 'done';
+      } catch (err) {
+        stillState.status = 'idle';
+        console.error('Still render failed:', err);
+        alert('Still render failed — ' + err.message);
+      }
+    },
+  }, 'render').name('Render still');
+  stillFolder.add(stillState, 'status').name('Status').disable().listen();
 
   // Close folders by default for compact look
+  presetsFolder.close();
   display.close();
   mat.close();
+  partsFolder.close();
+  pmFolder.close();
+  explodeFolder.close();
+  measureFolder.close();
+  notesFolder.close();
+  compareFolder.close();
+  sectionFolder.close();
+  bmFolder.close();
+  recFolder.close();
+  stillFolder.close();
+  iso.close();
   light.close();
   post.close();
   dofFolder.close();
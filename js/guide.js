@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import { matchesAny, localize } from './manifest.js';
+import { placePart } from './explode.js';
+
+// Step-by-step assembly guide. Steps come from the manifest's `guide` block:
+//   {
+//     direction: 'assembly' | 'disassembly',
+//     stepDuration: 1.2,       // seconds for a step's parts to travel
+//     steps: [{ title, text, view?, group?, match?, highlight?, hotspot? }]
+//   }
+// Parts travel along their explode paths (explode.js). In assembly order the
+// parts of earlier steps are in place, the current step's parts fly in and
+// later steps wait outside; disassembly runs the other way round.
+// Meshes no step claims stay in place throughout.
+
+const DEFAULT_STEP_DURATION = 1.2;
+
+// hooks: { setView(name), highlight(objects), openHotspot(id | null), onExit() }
+export function createGuide(parent, hooks) {
+  const el = document.createElement('section');
+  el.className = 'guide-panel hidden';
+  el.innerHTML =
+    `<div class="guide-counter"></div>` +
+    `<h3 class="guide-title"></h3>` +
+    `<p class="guide-text"></p>` +
+    `<div class="guide-controls">` +
+      `<button data-guide="prev" aria-label="Previous step">‹ prev</button>` +
+      `<button data-guide="exit">exit</button>` +
+      `<button data-guide="next" aria-label="Next step">next ›</button>` +
+    `</div>`;
+  parent.appendChild(el);
+
+  const counterEl = el.querySelector('.guide-counter');
+  const titleEl = el.querySelector('.guide-title');
+  const textEl = el.querySelector('.guide-text');
+  const prevBtn = el.querySelector('[data-guide="prev"]');
+  const nextBtn = el.querySelector('[data-guide="next"]');
+
+  let def = null;
+  let steps = []; // [{ data, meshes: Set }]
+  let parts = [];
+  let index = -1;
+  const progress = new Map(); // part → { p, goal }
+
+  function stepIndexOf(part) {
+    return steps.findIndex((s) => s.meshes.has(part.object));
+  }
+
+  function goTo(i) {
+    index = THREE.MathUtils.clamp(i, 0, steps.length - 1);
+    const step = steps[index];
+    const disassembly = def.direction === 'disassembly';
+
+    parts.forEach((part) => {
+      const j = stepIndexOf(part);
+      const state = progress.get(part);
+      if (j < 0) { state.goal = 0; return; }
+      if (j === index) {
+        // Replay the current step from its starting position
+        state.p = disassembly ? 0 : 1;
+        state.goal = disassembly ? 1 : 0;
+      } else {
+        const done = j < index;
+        state.goal = done === disassembly ? 1 : 0;
+      }
+    });
+
+    counterEl.textContent = `step ${index + 1} / ${steps.length}`;
+    titleEl.textContent = localize(step.data.title);
+    textEl.textContent = localize(step.data.text);
+    prevBtn.disabled = index === 0;
+    nextBtn.disabled = index === steps.length - 1;
+
+    if (step.data.view) hooks.setView(step.data.view);
+    hooks.highlight(step.data.highlight ? [...step.meshes] : []);
+    hooks.openHotspot(step.data.hotspot ?? null);
+  }
+
+  function stop() {
+    if (index < 0) return;
+    index = -1;
+    el.classList.add('hidden');
+    hooks.highlight([]);
+    hooks.openHotspot(null);
+    hooks.onExit();
+  }
+
+  prevBtn.addEventListener('click', () => api.prev());
+  nextBtn.addEventListener('click', () => api.next());
+  el.querySelector('[data-guide="exit"]').addEventListener('click', stop);
+
+  const api = {
+    // (Re)bind to a model; stops a running guide
+    load(guideDef, root, explodeParts, groups) {
+      stop();
+      def = guideDef;
+      parts = explodeParts;
+      steps = (guideDef?.steps || []).map((data) => {
+        const meshes = new Set();
+        const roots = [...(groups.find((g) => g.id === data.group)?.members || [])];
+        if (data.match !== undefined) {
+          root.traverse((c) => { if (c.name && matchesAny(c.name, data.match)) roots.push(c); });
+        }
+        roots.forEach((r) => r.traverse((c) => { if (c.isMesh) meshes.add(c); }));
+        return { data, meshes };
+      });
+    },
+    get available() { return steps.length > 0; },
+    get active() { return index >= 0; },
+    start() {
+      if (!steps.length) return;
+      progress.clear();
+      parts.forEach((part) => progress.set(part, { p: 0, goal: 0 }));
+      el.classList.remove('hidden');
+      goTo(0);
+      // Only the first step animates; everything else starts where it belongs
+      progress.forEach((state, part) => {
+        if (stepIndexOf(part) !== 0) state.p = state.goal;
+      });
+    },
+    stop,
+    next() { if (index >= 0) goTo(index + 1); },
+    prev() { if (index >= 0) goTo(index - 1); },
+    // Called every frame while active, in place of the explode timeline
+    update(dt) {
+      const speed = dt / (def.stepDuration ?? DEFAULT_STEP_DURATION);
+      progress.forEach((state, part) => {
+        state.p += Math.max(-speed, Math.min(speed, state.goal - state.p));
+        placePart(part, THREE.MathUtils.smoothstep(state.p, 0, 1));
+      });
+    },
+    // Keyboard paging while active; returns true when the key was used
+    handleKey(e) {
+      if (index < 0) return false;
+      if (e.key === 'ArrowRight' || e.key === 'PageDown' || e.key === ' ') api.next();
+      else if (e.key === 'ArrowLeft' || e.key === 'PageUp') api.prev();
+      else if (e.key === 'Escape') stop();
+      else return false;
+      e.preventDefault();
+      return true;
+    },
+  };
+  return api;
+}
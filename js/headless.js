@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { createAssetResolver, createBlobTextureLoader, assetSources } from './assets.js';
+import { loadManifest, findByMatcher, describeMatcher } from './manifest.js';
+import { createContexts } from './contexts.js';
+import { buildToggleMap, PANEL_COLOR_DEFAULT } from './toggles.js';
+import { buildExplodeParts, applyExplode } from './explode.js';
+import { defaults } from './config.js';
+import {
+  MODEL_PATHS, FRUSTUM_DEFAULT, VIEW_ANGLES, viewElevation,
+  configureRenderer, createCameras, poseCamera, focusOnTarget, createStage, prepareModel, loadEnvironment,
+  contextTextureNames, loadContextTextures, applyContext, createPostStack,
+} from './scene.js';
+
+// Headless renders of the viewer scene, without UI or animation. headless.html
+// exposes window.renderJob(job) for tools/render-cli.mjs:
+//   {
+//     model: 'optimized',            // MODEL_PATHS key
+//     renders: [{
+//       file: 'hero.png',
+//       context: 'Scandinavian',     // name from contexts.js
+//       view: 'Isometric',           // Front, Right, Rear, Left, Isometric
+//       size: [1920, 1080],
+//       projection?: 'Orthographic' | 'Perspective',
+//       zoom?: 1,                    // magnification over the default framing
+//       explode?: false,
+//       panelColor?: '#c1a085',
+//     }],
+//   }
+// Resolves { images: [{ file, png }], missingAssets, unmatchedHotspots, manifestErrors },
+// png being base64. Unknown names reject before anything renders.
+
+function checkJob(job, contexts) {
+  if (!MODEL_PATHS[job.model ?? 'optimized']) throw new Error(`unknown model "${job.model}" (known: ${Object.keys(MODEL_PATHS).join(', ')})`);
+  if (!Array.isArray(job.renders) || !job.renders.length) throw new Error('job has no renders');
+  job.renders.forEach((r, i) => {
+    const at = `renders[${i}]`;
+    if (typeof r.file !== 'string' || !r.file) throw new Error(`${at}: file is required`);
+    if (!contexts.some((c) => c.name === r.context)) {
+      throw new Error(`${at}: unknown context "${r.context}" (known: ${contexts.map((c) => c.name).join(', ')})`);
+    }
+    if (VIEW_ANGLES[r.view] === undefined) {
+      throw new Error(`${at}: unknown view "${r.view}" (known: ${Object.keys(VIEW_ANGLES).join(', ')})`);
+    }
+    if (!Array.isArray(r.size) || r.size.length !== 2 || !r.size.every((n) => Number.isInteger(n) && n > 0)) {
+      throw new Error(`${at}: size must be [width, height] in px`);
+    }
+    if (r.zoom !== undefined && !(Number.isFinite(r.zoom) && r.zoom > 0)) {
+      throw new Error(`${at}: zoom must be a positive number`);
+    }
+  });
+}
+
+async function renderJob(job) {
+  const contexts = createContexts();
+  checkJob(job, contexts);
+  const assets = createAssetResolver();
+
+  const canvas = document.getElementById('headless-canvas');
+  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: false, stencil: false, preserveDrawingBuffer: true });
+  renderer.setPixelRatio(1);
+  configureRenderer(renderer);
+
+  const stage = createStage();
+  const { scene } = stage;
+  const { orthoCamera, perspCamera } = createCameras(1, defaults.camera.fov);
+
+  // --- Model + manifest ---
+  const modelPath = MODEL_PATHS[job.model ?? 'optimized'];
+  const dracoLoader = new DRACOLoader();
+  dracoLoader.setDecoderPath(await assets.dracoDecoderPath());
+  const loader = new GLTFLoader();
+  loader.setDRACOLoader(dracoLoader);
+  const [gltf, manifest] = await Promise.all([loader.loadAsync(modelPath), loadManifest(modelPath)]);
+  dracoLoader.dispose();
+  const model = gltf.scene;
+  prepareModel(model);
+  scene.add(model);
+
+  const unmatchedHotspots = manifest.hotspots
+    .filter((hs) => !findByMatcher(model, hs.match))
+    .map((hs) => `${hs.id}: no node matches ${describeMatcher(hs.match)}`);
+  const toggleMap = buildToggleMap(model, manifest.toggleGroups);
+  const explodeParts = buildExplodeParts(model, manifest.explode, toggleMap.groups);
+  const modelCenter = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+  const orbitTarget = new THREE.Vector3(0, modelCenter.y, 0);
+
+  // --- Environment + the textures of the contexts in use ---
+  scene.environment = await loadEnvironment(renderer, assets);
+  const used = contexts.filter((c) => job.renders.some((r) => r.context === c.name));
+  const texLoader = createBlobTextureLoader();
+  const textures = await loadContextTextures(contextTextureNames(used),
+    (name, map, label) => assets.load(texLoader, assetSources.texture(name, map), label));
+
+  const post = createPostStack(renderer, scene, orthoCamera, { width: 1, height: 1, perspective: false });
+  const { composer, ssaoPass, bokehPass, flarePass } = post;
+
+  const images = [];
+  for (const r of job.renders) {
+    const [width, height] = r.size;
+    const perspective = r.projection === 'Perspective';
+    const camera = perspective ? perspCamera : orthoCamera;
+    composer.passes.forEach((pass) => {
+      if (pass.camera) pass.camera = camera;
+    });
+    bokehPass.materialBokeh.defines.PERSPECTIVE_CAMERA = perspective ? 1 : 0;
+    bokehPass.materialBokeh.needsUpdate = true;
+
+    renderer.setSize(width, height, false);
+    composer.setPixelRatio(1);
+    composer.setSize(width, height);
+    bokehPass.renderTargetDepth.setSize(width, height);
+    flarePass.uniforms.uResolution.value.set(width, height);
+
+    applyContext(stage, renderer, contexts.find((c) => c.name === r.context), textures);
+    const color = new THREE.Color(r.panelColor ?? PANEL_COLOR_DEFAULT);
+    toggleMap.colorable.forEach((obj) => {
+      obj.traverse((c) => { if (c.isMesh && c.material) c.material.color.copy(color); });
+    });
+    applyExplode(explodeParts, r.explode ? 1 : 0);
+
+    poseCamera(camera, {
+      azimuth: VIEW_ANGLES[r.view],
+      elevation: viewElevation(r.view),
+      frustum: FRUSTUM_DEFAULT / (r.zoom ?? 1),
+      target: orbitTarget,
+      fov: defaults.camera.fov,
+    }, width / height);
+    focusOnTarget(bokehPass, camera, orbitTarget);
+    // After posing: SSAO copies the camera projection when it is resized
+    ssaoPass.setSize(width, height);
+
+    composer.render();
+    images.push({ file: r.file, png: canvas.toDataURL('image/png').split(',')[1] });
+  }
+
+  renderer.dispose();
+  return {
+    images,
+    missingAssets: assets.missing.map((a) => `${a.label} — tried ${a.urls.join(', ')}`),
+    unmatchedHotspots,
+    manifestErrors: manifest.errors,
+  };
+}
+
+window.renderJob = renderJob;
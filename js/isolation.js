@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+
+// Part isolation — the selected parts keep their materials while the rest of
+// the model is swapped to a translucent ghost or X-ray material. Originals are
+// kept per mesh and put back untouched on unisolate().
+
+export const ISOLATION_MODES = ['Ghost', 'X-ray'];
+
+function createFresnelMaterial({ color, opacity, power, blending }) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uColor: { value: new THREE.Color(color) },
+      uOpacity: { value: opacity },
+      uPower: { value: power },
+    },
+    vertexShader: /* glsl */`
+      #include <common>
+      #include <clipping_planes_pars_vertex>
+      varying vec3 vViewNormal;
+      varying vec3 vViewPosition;
+      void main() {
+        #include <beginnormal_vertex>
+        #include <defaultnormal_vertex>
+        #include <begin_vertex>
+        #include <project_vertex>
+        #include <clipping_planes_vertex>
+        vViewNormal = normalize(transformedNormal);
+        vViewPosition = -mvPosition.xyz;
+      }
+    `,
+    fragmentShader: /* glsl */`
+      #include <clipping_planes_pars_fragment>
+      uniform vec3 uColor;
+      uniform float uOpacity;
+      uniform float uPower;
+      varying vec3 vViewNormal;
+      varying vec3 vViewPosition;
+      void main() {
+        #include <clipping_planes_fragment>
+        vec3 n = normalize(vViewNormal) * (gl_FrontFacing ? 1.0 : -1.0);
+        vec3 v = isOrthographic ? vec3(0.0, 0.0, 1.0) : normalize(vViewPosition);
+        // Edges (grazing angles) stay visible, faces facing the camera nearly vanish
+        float rim = pow(1.0 - abs(dot(n, v)), uPower);
+        gl_FragColor = vec4(uColor, uOpacity * mix(0.25, 1.0, rim));
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    blending,
+    clipping: true,
+  });
+}
+
+export function createIsolation() {
+  const materials = {
+    'Ghost': createFresnelMaterial({ color: 0xd8dde4, opacity: 0.18, power: 1.5, blending: THREE.NormalBlending }),
+    'X-ray': createFresnelMaterial({ color: 0x6fb8ff, opacity: 0.55, power: 2.5, blending: THREE.AdditiveBlending }),
+  };
+  const originals = new Map(); // mesh → { material, castShadow }
+  let mode = 'Ghost';
+  let selection = [];
+
+  function unisolate() {
+    originals.forEach(({ material, castShadow }, mesh) => {
+      mesh.material = material;
+      mesh.castShadow = castShadow;
+      delete mesh.userData.ghost;
+    });
+    originals.clear();
+    selection = [];
+  }
+
+  // Keep `objects` (and their descendants) shaded, ghost every other mesh under root
+  function isolate(root, objects) {
+    unisolate();
+    if (!root || objects.length === 0) return;
+    selection = objects;
+    const keep = new Set();
+    objects.forEach((obj) => obj.traverse((c) => keep.add(c)));
+    root.traverse((c) => {
+      if (!c.isMesh || keep.has(c)) return;
+      originals.set(c, { material: c.material, castShadow: c.castShadow });
+      c.material = materials[mode];
+      c.castShadow = false;
+      c.userData.ghost = true; // lets depth-based passes (SSAO) skip it
+    });
+  }
+
+  return {
+    isolate,
+    unisolate,
+    get active() { return selection.length > 0; },
+    get selection() { return selection; },
+    // The mesh's own material, even while it is ghosted
+    materialOf(mesh) {
+      return originals.has(mesh) ? originals.get(mesh).material : mesh.material;
+    },
+    // Swap the mesh's own material; a ghosted mesh gets it back on unisolate
+    setMaterialOf(mesh, material) {
+      if (originals.has(mesh)) originals.get(mesh).material = material;
+      else mesh.material = material;
+    },
+    get mode() { return mode; },
+    set mode(v) {
+      if (!materials[v]) return;
+      mode = v;
+      originals.forEach((_, mesh) => { mesh.material = materials[mode]; });
+    },
+    get opacity() { return materials[mode].uniforms.uOpacity.value; },
+    set opacity(v) { materials[mode].uniforms.uOpacity.value = v; },
+  };
+}
@@ -2,23 +2,62 @@ import * as THREE from 'three';
 // OrbitControls removed — using mouse-position orbit camera
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
-import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
-import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
-import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
-import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
-import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { defaults } from './config.js';
 import { createGUI } from './gui.js';
+import { createDeepLink } from './deeplink.js';
+import { loadManifest, manifestUrlFor, findByMatcher, describeMatcher, localize } from './manifest.js';
+import { createDevPanel } from './devpanel.js';
+import { createDetailDrawer } from './drawer.js';
+import { createIsolation, ISOLATION_MODES } from './isolation.js';
+import { createPartsTree } from './partstree.js';
+import { buildExplodeParts, applyExplode, EXPLODE_DEFAULTS } from './explode.js';
+import { createGuide } from './guide.js';
+import { createAssetResolver, createBlobTextureLoader, assetSources } from './assets.js';
+import { createLoadProgress } from './progress.js';
+import { createPointerInput } from './pointer.js';
+import { createFlythrough, loadBookmarks } from './bookmarks.js';
+import { createRecorder } from './recorder.js';
+import { createContexts } from './contexts.js';
+import { buildToggleMap, PANEL_COLOR_DEFAULT } from './toggles.js';
+import { createPartMaterials } from './materials.js';
+import { createConfigurator } from './configurator.js';
+import { createBomPanel } from './bom.js';
+import { createMeasureOverlay } from './measure.js';
+import { createAnnotations, exportAnnotations, importAnnotationsFile } from './annotations.js';
+import { createAnnotationPanel } from './annotationpanel.js';
+import { createSection, SECTION_MODES, SECTION_AXES, CAP_STYLES } from './section.js';
+import { createCompare, COMPARE_LAYOUTS } from './compare.js';
+import { createComparePanel } from './comparepanel.js';
+import {
+  MODEL_PATHS, MODEL_REVISION, revisionPaths, FRUSTUM_DEFAULT, VIEW_ANGLES, DEFAULT_ELEVATION, viewElevation,
+  configureRenderer, createCameras, poseCamera, focusOnTarget, createStage, prepareModel, prepareMaterials, loadEnvironment,
+  contextTextureNames, loadContextTextures, applyContext, createPostStack,
+} from './scene.js';
+import { captureTiled, saveStill, STILL_FORMATS } from './still.js';
 
 async function init() {
   const canvas = document.getElementById('viewer-canvas');
   const overlay = document.getElementById('loading-overlay');
   const progressBar = document.getElementById('loading-progress');
   const progressText = document.getElementById('loading-text');
+  const devPanel = createDevPanel();
+  const loadProgress = createLoadProgress(progressBar, progressText);
+  // Typical 1k Polyhaven sizes, until the servers report the real ones
+  const HDRI_ESTIMATE = 1.6e6;
+  const TEXTURE_ESTIMATE = 1e6;
+  const MODEL_ESTIMATE = 8e6;
+  const missingList = document.getElementById('loading-missing');
+
+  // Local assets/ first, then the public CDNs; anything unreachable is listed
+  // on the loading overlay and in the dev panel, and replaced by a fallback
+  const assets = createAssetResolver({
+    onMissing: (label, missing) => {
+      const li = document.createElement('li');
+      li.textContent = label;
+      missingList.appendChild(li);
+      devPanel.report('Missing assets', missing.map((a) => `${a.label} — tried ${a.urls.join(', ')}`));
+    },
+  });
 
   // --- Renderer (max quality) ---
   const renderer = new THREE.WebGLRenderer({
@@ -29,34 +68,25 @@ async function init() {
     stencil: false,
   });
   renderer.setPixelRatio(window.devicePixelRatio);
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.outputColorSpace = THREE.SRGBColorSpace;
-  renderer.toneMapping = THREE.ACESFilmicToneMapping;
-  renderer.toneMappingExposure = defaults.postprocessing.exposure;
-  const shadowDefaults = defaults.shadows || { enabled: true, mapSize: 2048 };
-  renderer.shadowMap.enabled = shadowDefaults.enabled;
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-  renderer.physicallyCorrectLights = true;
-
-  // --- Scene ---
-  const scene = new THREE.Scene();
+  renderer.setSize(window.innerWidth, window.innerHeight, false); // CSS sizes the canvas
+  configureRenderer(renderer);
+
+  // --- Scene: studio lights, ground, shelf and wall (see scene.js) ---
+  const stage = createStage();
+  const { scene, groundPlane, shelfGroup } = stage;
+  const { ambient, keyLight, fillLight, rimLight, bounceLight } = stage.lights;
+  const grid = null; // grid removed
 
   // --- Cameras ---
-  const FRUSTUM_DEFAULT = 2.2;
   let frustumSize = FRUSTUM_DEFAULT;
   let targetFrustum = FRUSTUM_DEFAULT;
-  let zoomed = false;
   const aspect = window.innerWidth / window.innerHeight;
+  // Size of the rendered image in CSS px — the window, or the recorder's output size
+  const viewport = { width: window.innerWidth, height: window.innerHeight };
 
-  const orthoCamera = new THREE.OrthographicCamera(
-    -frustumSize * aspect / 2, frustumSize * aspect / 2,
-    frustumSize / 2, -frustumSize / 2,
-    0.01, 100
-  );
-  orthoCamera.position.set(0, 0.3, 2.5);
-
-  const perspCamera = new THREE.PerspectiveCamera(40, aspect, 0.01, 100);
-  perspCamera.position.set(0, 0.3, 2.5);
+  let baseFov = defaults.camera.fov; // perspective lens; zoom dollies the camera, presets may change it
+  let focusOffset = defaults.postprocessing.dofFocusOffset;
+  const { orthoCamera, perspCamera } = createCameras(aspect, baseFov);
 
   let camera = orthoCamera;
   let cameraType = 'Orthographic';
@@ -79,305 +109,204 @@ async function init() {
     }
   }
 
-  // --- Environment ---
-  scene.background = new THREE.Color(0xf0ebe3);
-  scene.environmentIntensity = defaults.lighting.envIntensity;
-
-  // --- Lights (3-point studio setup for premium product) ---
-  const ambient = new THREE.AmbientLight(
-    defaults.lighting.ambientColor,
-    defaults.lighting.ambientIntensity
-  );
-  scene.add(ambient);
-
-  // Key light — warm directional, high-res shadows
-  const keyLight = new THREE.DirectionalLight(
-    defaults.lighting.keyColor,
-    defaults.lighting.keyIntensity
-  );
-  keyLight.position.set(
-    defaults.lighting.keyPosition.x,
-    defaults.lighting.keyPosition.y,
-    defaults.lighting.keyPosition.z
-  );
-  keyLight.castShadow = shadowDefaults.enabled;
-  keyLight.shadow.mapSize.width = shadowDefaults.mapSize;
-  keyLight.shadow.mapSize.height = shadowDefaults.mapSize;
-  keyLight.shadow.camera.near = 0.5;
-  keyLight.shadow.camera.far = 12;
-  keyLight.shadow.camera.left = -1.5;
-  keyLight.shadow.camera.right = 1.5;
-  keyLight.shadow.camera.top = 2;
-  keyLight.shadow.camera.bottom = -1;
-  keyLight.shadow.bias = -0.0003;
-  keyLight.shadow.normalBias = 0.04;
-  keyLight.shadow.radius = 3;
-  scene.add(keyLight);
-
-  // Fill light — cool-toned, softer
-  const fillLight = new THREE.PointLight(
-    defaults.lighting.fillColor,
-    defaults.lighting.fillIntensity,
-    20,
-    1.5
-  );
-  fillLight.position.set(
-    defaults.lighting.fillPosition.x,
-    defaults.lighting.fillPosition.y,
-    defaults.lighting.fillPosition.z
-  );
-  scene.add(fillLight);
-
-  // Rim / back light — warm accent edge highlight
-  const rimLight = new THREE.SpotLight(
-    defaults.lighting.rimColor,
-    defaults.lighting.rimIntensity,
-    30,
-    Math.PI / 5,
-    0.6
-  );
-  rimLight.position.set(
-    defaults.lighting.rimPosition.x,
-    defaults.lighting.rimPosition.y,
-    defaults.lighting.rimPosition.z
-  );
-  rimLight.target.position.set(0, 0.3, 0);
-  scene.add(rimLight);
-  scene.add(rimLight.target);
-
-  // Bottom bounce — subtle upward fill to lift shadows under the case
-  const bounceLight = new THREE.PointLight('#334466', 0.3, 8, 2);
-  bounceLight.position.set(0, -0.5, 0);
-  scene.add(bounceLight);
-
-  // --- Ground plane with contact shadow ---
-  const groundPlane = new THREE.Mesh(
-    new THREE.PlaneGeometry(20, 20),
-    new THREE.ShadowMaterial({ opacity: defaults.ground.shadowOpacity })
-  );
-  groundPlane.rotation.x = -Math.PI / 2;
-  groundPlane.position.y = 0;
-  groundPlane.receiveShadow = true;
-  groundPlane.visible = defaults.ground.visible;
-  scene.add(groundPlane);
-
-  const grid = null; // grid removed
+  // --- Model loader ---
+  // Fallback order when the requested quality can't be loaded
+  const MODEL_ORDER = ['full', 'optimized'];
 
-  // --- Wall-mounted shelf ---
-  const shelfGroup = new THREE.Group();
-
-  // Wood plank
-  const plankGeo = new THREE.BoxGeometry(3.5, 0.04, 1.6);
-  const woodMat = new THREE.MeshPhysicalMaterial({
-    color: 0xc8a87c,
-    roughness: 0.65,
-    metalness: 0.0,
-    clearcoat: 0.15,
-    clearcoatRoughness: 0.4,
+  let currentModel = null;
+  const isolation = createIsolation();
+  // Per-part finishes (materials.js); groups resolve lazily, toggleMap is defined further down
+  const partMaterials = createPartMaterials({
+    isolation,
+    getGroups: () => toggleMap.groups,
+    onRestore: () => { applyPanelColor(); },
   });
-  const plank = new THREE.Mesh(plankGeo, woodMat);
-  plank.position.y = -0.02; // top surface at y=0
-  plank.receiveShadow = true;
-  shelfGroup.add(plank);
-
-  // Dark metal bracket material
-  const bracketMat = new THREE.MeshPhysicalMaterial({
-    color: 0x222222,
-    roughness: 0.4,
-    metalness: 0.85,
+  // Section cut through the model only (section.js)
+  const section = createSection({ renderer, isolation });
+  // Another revision beside or over this one (compare.js); its panel is set up further down
+  const compare = createCompare(document.querySelector('.viewer-main'), {
+    scene,
+    renderer,
+    onChange: () => {
+      // The cut is sized and patched for the installed model alone
+      section.suspended = compare.active;
+      renderCompare();
+    },
   });
+  let currentManifest = null; // per-model manifest (hotspots, ...) — see manifest.js
+  let onModelLoaded = null; // set after toggleable parts are defined
 
-  // L-shaped bracket helper: vertical arm against wall + horizontal arm under plank
-  function createBracket(xPos) {
-    const bracketGroup = new THREE.Group();
-
-    // Vertical arm (against wall)
-    const vertGeo = new THREE.BoxGeometry(0.04, 0.3, 0.035);
-    const vert = new THREE.Mesh(vertGeo, bracketMat);
-    vert.position.set(0, -0.19, -0.38);
-    vert.castShadow = true;
-    bracketGroup.add(vert);
-
-    // Horizontal arm (under plank)
-    const horizGeo = new THREE.BoxGeometry(0.04, 0.035, 0.7);
-    const horiz = new THREE.Mesh(horizGeo, bracketMat);
-    horiz.position.set(0, -0.055, -0.05);
-    horiz.castShadow = true;
-    bracketGroup.add(horiz);
-
-    // Small diagonal brace for realism
-    const braceLen = 0.28;
-    const braceGeo = new THREE.BoxGeometry(0.03, 0.025, braceLen);
-    const brace = new THREE.Mesh(braceGeo, bracketMat);
-    brace.position.set(0, -0.14, -0.2);
-    brace.rotation.x = -Math.PI / 4;
-    brace.castShadow = true;
-    bracketGroup.add(brace);
-
-    bracketGroup.position.x = xPos;
-    return bracketGroup;
+  // key → true / false once known (HEAD probe or a load attempt); unknown keys are still tried
+  const modelAvailability = {};
+  const modelSizes = {}; // key → bytes, from the same probe
+  await Promise.all(MODEL_ORDER.map(async (key) => {
+    try {
+      const res = await fetch(MODEL_PATHS[key], { method: 'HEAD' });
+      modelAvailability[key] = res.ok;
+      modelSizes[key] = Number(res.headers.get('content-length')) || undefined;
+    } catch {
+      // offline or no HEAD support — find out on load
+    }
+  }));
+
+  async function loadGLTF(path, onProgress) {
+    const dracoLoader = new DRACOLoader();
+    dracoLoader.setDecoderPath(await assets.dracoDecoderPath());
+    const loader = new GLTFLoader();
+    loader.setDRACOLoader(dracoLoader);
+    try {
+      return await loader.loadAsync(path, onProgress);
+    } finally {
+      dracoLoader.dispose();
+    }
   }
 
-  shelfGroup.add(createBracket(-1.1));
-  shelfGroup.add(createBracket(1.1));
+  // Stand-in when no model file loads: a case-sized box, so the scene still works
+  function createPlaceholderModel() {
+    const group = new THREE.Group();
+    const box = new THREE.Mesh(
+      new THREE.BoxGeometry(0.2, 0.36, 0.42),
+      new THREE.MeshStandardMaterial({ color: 0x8a8a8a, roughness: 0.6 }),
+    );
+    box.name = 'placeholder';
+    group.add(box);
+    return group;
+  }
 
-  // Wall behind the shelf
-  const wallGeo = new THREE.PlaneGeometry(20, 20);
-  const wallMat = new THREE.MeshPhysicalMaterial({
-    color: 0xf0ebe3,
-    roughness: 0.95,
-    metalness: 0.0,
-  });
-  const wall = new THREE.Mesh(wallGeo, wallMat);
-  wall.position.set(0, 5, -0.8);
-  wall.receiveShadow = true;
-  shelfGroup.add(wall);
+  // Retry prompt on the loading overlay (initial load only); resolves 'retry' or 'placeholder'
+  function askRetry(message) {
+    const actions = document.getElementById('loading-actions');
+    loadProgress.note(message);
+    actions.classList.remove('hidden');
+    return new Promise((resolve) => {
+      actions.querySelectorAll('button').forEach((btn) => {
+        btn.onclick = () => {
+          actions.classList.add('hidden');
+          resolve(btn.dataset.action);
+        };
+      });
+    });
+  }
 
-  scene.add(shelfGroup);
+  function installModel(m, manifest) {
+    // Remove previous model
+    if (currentModel) {
+      compare.stop(); // drops the other revision and hands back diff-painted materials
+      isolation.unisolate(); // hand the original materials back before disposal
+      partMaterials.release();
+      section.release();
+      scene.remove(currentModel);
+      currentModel.traverse((child) => {
+        if (child.isMesh) {
+          child.geometry.dispose();
+          if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
+          else child.material.dispose();
+        }
+      });
+    }
 
-  // --- Model loader ---
-  const MODEL_PATHS = {
-    optimized: './models/ANGL-ASM-MAIN_REV-G_FULL_optimized.glb',
-    full: './models/ANGL-ASM-MAIN_REV-G_FULL.glb',
-  };
+    prepareModel(m);
+    scene.add(m);
+    currentModel = m;
+    currentManifest = manifest;
+    // Re-scan for toggleable parts after model swap
+    if (onModelLoaded) onModelLoaded(m);
+  }
 
-  let currentModel = null;
-  let onModelLoaded = null; // set after toggleable parts are defined
+  // Tries the requested quality, then the others, then the placeholder.
+  // The variant actually shown is in m.userData.variant.
+  // With `revision`, another revision of the model is loaded for comparison
+  // (compare.js): placed like any model and returned, but not installed, and
+  // without the placeholder fallback.
+  async function loadModel(key, { interactive = false, revision = null } = {}) {
+    const paths = revision ? revisionPaths(revision) : MODEL_PATHS;
+    const availability = revision ? {} : modelAvailability;
+    const manifestPromise = revision ? null : loadManifest(paths[key]); // shared by all qualities
+    const chain = [key, ...MODEL_ORDER.filter((k) => k !== key)];
+    const failures = [];
+    let gltf = null;
+    let variant = 'placeholder';
+    // Byte progress only drives the overlay on the first load
+    const onProgress = interactive ? loadProgress.onProgress('model') : undefined;
+
+    for (;;) {
+      for (const k of chain) {
+        if (availability[k] === false) {
+          failures.push(`${k}: not found (${paths[k]})`);
+          continue;
+        }
+        try {
+          gltf = await loadGLTF(paths[k], onProgress);
+          variant = k;
+          break;
+        } catch (err) {
+          availability[k] = false;
+          failures.push(`${k}: ${err.message}`);
+        }
+      }
+      if (gltf || !interactive) break;
+      if (await askRetry('model unavailable') === 'placeholder') break;
+      // Forget what failed so every candidate is tried again
+      chain.forEach((k) => { delete availability[k]; });
+      failures.length = 0;
+    }
+    if (interactive) loadProgress.done('model');
+
+    if (revision) {
+      if (!gltf) throw new Error(`revision ${revision} unavailable (${failures.join('; ')})`);
+      gltf.scene.userData.variant = variant;
+      gltf.scene.userData.revision = revision;
+      prepareModel(gltf.scene);
+      return gltf.scene;
+    }
 
-  function loadModel(key) {
-    return new Promise((resolve, reject) => {
-      const dracoLoader = new DRACOLoader();
-      dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.7/');
-      const loader = new GLTFLoader();
-      loader.setDRACOLoader(dracoLoader);
-
-      loader.load(
-        MODEL_PATHS[key],
-        (gltf) => {
-          // Remove previous model
-          if (currentModel) {
-            scene.remove(currentModel);
-            currentModel.traverse((child) => {
-              if (child.isMesh) {
-                child.geometry.dispose();
-                if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
-                else child.material.dispose();
-              }
-            });
-          }
-
-          const m = gltf.scene;
-
-          // Rotate -90° on X axis (CAD orientation fix)
-          m.rotation.x = -Math.PI / 2;
-
-          // Scale to fit ~1 unit
-          const box = new THREE.Box3().setFromObject(m);
-          const size = box.getSize(new THREE.Vector3());
-          const maxDim = Math.max(size.x, size.y, size.z);
-          const scale = 1.0 / maxDim;
-          m.scale.setScalar(scale);
-
-          // Center and place on ground
-          const scaledBox = new THREE.Box3().setFromObject(m);
-          const scaledCenter = scaledBox.getCenter(new THREE.Vector3());
-          m.position.x -= scaledCenter.x;
-          m.position.z -= scaledCenter.z;
-          m.position.y -= scaledBox.min.y;
-
-          // Premium material setup + shadows
-          m.traverse((child) => {
-            if (child.isMesh) {
-              child.castShadow = true;
-              child.receiveShadow = true;
-              if (child.material) {
-                const mat = child.material;
-                if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
-                  mat.envMapIntensity = 1.2;
-                  if (!mat.isMeshPhysicalMaterial) {
-                    const physMat = new THREE.MeshPhysicalMaterial();
-                    THREE.MeshStandardMaterial.prototype.copy.call(physMat, mat);
-                    physMat.clearcoat = defaults.material.clearcoat;
-                    physMat.clearcoatRoughness = defaults.material.clearcoatRoughness;
-                    physMat.envMapIntensity = 1.2;
-                    child.material = physMat;
-                    mat.dispose();
-                  } else {
-                    mat.clearcoat = defaults.material.clearcoat;
-                    mat.clearcoatRoughness = defaults.material.clearcoatRoughness;
-                  }
-                  child.material.needsUpdate = true;
-                }
-              }
-            }
-          });
-
-          scene.add(m);
-          currentModel = m;
-          // Re-scan for toggleable parts after model swap
-          if (onModelLoaded) onModelLoaded(m);
-          dracoLoader.dispose();
-          resolve(m);
-        },
-        undefined,
-        (error) => { dracoLoader.dispose(); reject(error); }
-      );
-    });
+    const m = gltf ? gltf.scene : createPlaceholderModel();
+    const manifest = gltf ? await manifestPromise : { hotspots: [], toggleGroups: [], slots: [], errors: [] };
+    devPanel.report('Manifest', manifest.errors);
+    devPanel.report('Model', variant === key ? [] : [...failures, `requested ${key}, showing ${variant}`]);
+    if (variant !== key) console.warn(`Model: requested ${key}, showing ${variant}`, failures);
+
+    m.userData.variant = variant;
+    installModel(m, manifest);
+
+    // AR uses the same file; the placeholder has none
+    const arViewer = document.getElementById('ar-viewer');
+    if (gltf) arViewer?.setAttribute('src', MODEL_PATHS[variant]);
+    else arViewer?.removeAttribute('src');
+    const arButton = document.getElementById('ar-button');
+    if (!gltf) arButton?.classList.add('hidden');
+    else if (arViewer?.canActivateAR) arButton?.classList.remove('hidden');
+    return m;
   }
 
-  progressText.textContent = 'loading model...';
-  const model = await loadModel('full');
-
-  // --- Studio HDRI environment for realistic reflections ---
-  progressText.textContent = 'loading environment...';
-  const envMap = await new Promise((resolve, reject) => {
-    new RGBELoader().load(
-      'https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/1k/studio_small_09_1k.hdr',
-      (texture) => {
-        texture.mapping = THREE.EquirectangularReflectionMapping;
-        resolve(texture);
-      },
-      undefined,
-      reject,
-    );
-  });
-  scene.environment = envMap;
-
-  // Log full model hierarchy for debugging part names
-  model.traverse((child) => {
-    const depth = [];
-    let p = child.parent;
-    while (p) { depth.push(p.name || '(no name)'); p = p.parent; }
-    console.log(
-      child.isMesh ? 'MESH' : 'NODE',
-      `"${child.name}"`,
-      '| path:', depth.reverse().join(' > ')
-    );
+  // Every download registers before the first starts, so the bar (which never
+  // moves backwards) knows the whole total. The first available quality is the
+  // likely model download.
+  const contexts = createContexts();
+  const textureNames = contextTextureNames(contexts);
+  const firstModel = MODEL_ORDER.find((k) => modelAvailability[k] !== false);
+  loadProgress.add('model', 'loading model', modelSizes[firstModel] ?? MODEL_ESTIMATE);
+  loadProgress.add('hdri', 'loading environment', HDRI_ESTIMATE);
+  textureNames.forEach((name) => {
+    loadProgress.add(`${name}:diff`, 'loading textures', TEXTURE_ESTIMATE);
+    loadProgress.add(`${name}:nor_gl`, 'loading textures', TEXTURE_ESTIMATE);
   });
+  const model = await loadModel('full', { interactive: true });
 
-  // --- Hotspot labels ---
-  const HOTSPOTS = [
-    { match: 'ANGL-PAR-OSH-001_REV-G', title: 'SIDE PANEL', desc: 'Aluminium enclosure' },
-    { match: 'ANGL-PAR-OSH-002_REV-G', title: 'TOP PANEL', desc: 'CNC ventilation' },
-    { match: 'Motherboard Mini-ATX generic', title: 'MOTHERBOARD', desc: 'ASUS Strix B850-I' },
-    { match: 'RTX 5090', title: 'GPU', desc: 'RTX 5090 Inno3D iChill' },
-    { match: 'SF1000_simplified', title: 'PSU', desc: 'Corsair SF1000' },
-    { match: 'Noctua-200mm', title: 'FAN', desc: 'Noctua 200 mm' },
-    { match: 'Alphacool radiator 200mm', title: 'RADIATOR', desc: 'Alphacool 200 mm' },
-    { match: 'DDR5 module', title: 'MEMORY', desc: 'DDR5 module' },
-    { match: 'SSD NVMe M2 2280 Generic', title: 'STORAGE', desc: 'NVMe M.2 2280 SSD' },
-    { match: 'Power button assembly', title: 'POWER BUTTON', desc: 'Illuminated momentary' },
-    { match: 'Riser_AG-P5-33VV-v.3_MOUNTED', title: 'RISER CABLE', desc: 'PCIe 5.0 x16' },
-  ];
+  // --- Studio HDRI environment for realistic reflections ---
+  scene.environment = await loadEnvironment(renderer, assets, loadProgress.onProgress('hdri'));
+  loadProgress.done('hdri');
 
+  // --- Hotspot labels (defined in the model manifest) ---
   const hotspotContainer = document.getElementById('hotspot-container');
 
   // Resolve each hotspot to its 3D object and create persistent DOM
-  const hotspotInstances = []; // { data, object, markerEl, panelEl, open }
+  const hotspotInstances = []; // { base, data, object, offset, markerEl, tagEl, open }
 
-  function initHotspots(root) {
+  function initHotspots(root, entries) {
     // Clear old instances
     hotspotInstances.length = 0;
+    drawer.close();
     hotspotContainer.innerHTML = '';
 
     // Log all named objects for debugging hotspot matches
@@ -387,19 +316,12 @@ async function init() {
 
     const chevronSVG = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 18l6-6-6-6"/></svg>';
 
-    HOTSPOTS.forEach((hs) => {
-      let target = null;
-      // Exact match first, then includes fallback
-      root.traverse((child) => {
-        if (!target && child.name === hs.match) target = child;
-      });
-      if (!target) {
-        root.traverse((child) => {
-          if (!target && child.name && child.name.includes(hs.match)) target = child;
-        });
-      }
+    const unmatched = [];
+    entries.forEach((hs) => {
+      const target = findByMatcher(root, hs.match);
       if (!target) {
         console.warn('Hotspot target not found:', hs.match);
+        unmatched.push(`${hs.id}: no node matches ${describeMatcher(hs.match)}`);
         return;
       }
       console.log('Hotspot matched:', hs.match, '->', target.name);
@@ -416,28 +338,63 @@ async function init() {
         `<div class="hotspot-tag-line"></div>` +
         `<div class="hotspot-tag-card">` +
           `<div class="hotspot-tag-body">` +
-            `<span class="hotspot-tag-name">${hs.title}</span>` +
-            `<span class="hotspot-tag-desc">${hs.desc}</span>` +
+            `<span class="hotspot-tag-name"></span>` +
+            `<span class="hotspot-tag-desc"></span>` +
           `</div>` +
-          `<div class="hotspot-tag-arrow">${chevronSVG}</div>` +
+          `<button class="hotspot-tag-arrow" aria-label="Details">${chevronSVG}</button>` +
         `</div>`;
       hotspotContainer.appendChild(tagEl);
 
+      // `base` is the manifest entry; `data` and `object` follow configurator choices
+      const offset = hs.offset ? new THREE.Vector3().fromArray(hs.offset) : null;
+      const inst = { base: hs, data: hs, object: target, offset, markerEl, tagEl, open: false };
+      hotspotInstances.push(inst);
+      setHotspotText(inst);
+
       // Click on marker toggles the tag
       markerEl.addEventListener('click', (e) => {
         e.stopPropagation();
-        const inst = hotspotInstances.find((h) => h.data === hs);
-        if (inst) {
-          inst.open = !inst.open;
-          inst.tagEl.classList.toggle('visible', inst.open);
-        }
+        inst.open = !inst.open;
+        inst.tagEl.classList.toggle('visible', inst.open);
       });
 
-      hotspotInstances.push({ data: hs, object: target, markerEl, tagEl, open: false });
+      // Double-click on the marker frames its part
+      markerEl.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        frameObject(inst.object);
+      });
+
+      // Chevron opens the detail drawer
+      tagEl.querySelector('.hotspot-tag-arrow').addEventListener('click', (e) => {
+        e.stopPropagation();
+        drawer.open(inst);
+      });
     });
+    devPanel.report('Unmatched hotspots', unmatched);
+  }
+
+  function setHotspotText(inst) {
+    // Manifest text is content, not markup
+    inst.tagEl.querySelector('.hotspot-tag-name').textContent = localize(inst.data.title);
+    inst.tagEl.querySelector('.hotspot-tag-desc').textContent = localize(inst.data.desc);
   }
 
-  initHotspots(model);
+  // --- Hotspot detail drawer ---
+  const drawer = createDetailDrawer(document.getElementById('detail-drawer'), {
+    isolate: (inst) => {
+      if (isolation.selection.includes(inst.object)) isolation.unisolate();
+      else isolation.isolate(currentModel, [inst.object]);
+    },
+    focus: (inst) => { frameObject(inst.object); },
+    explode: (inst) => {
+      explodeGoal = 1;
+      inst.open = true;
+      inst.tagEl.classList.add('visible');
+      frameObject(inst.object);
+    },
+  });
+
+  initHotspots(model, currentManifest.hotspots);
 
   // onModelLoaded chaining happens after toggleMap setup below
 
@@ -480,6 +437,7 @@ async function init() {
       // World center of the part
       tmpBox.setFromObject(inst.object);
       tmpBox.getCenter(tmpVec);
+      if (inst.offset) tmpVec.add(inst.offset);
 
       const projected = tmpVec.project(camera);
       const sx = projected.x * hw + hw;
@@ -511,49 +469,51 @@ async function init() {
     });
   }
 
-  // --- Toggleable parts ---
-  // Discover all Solid2-related objects and categorise them:
-  //   "Solid2" (exact) and names containing ".001" → individual toggle
-  //   Everything else with "Solid2" in the name → group toggle
-
-  function buildToggleMap(root) {
-    const individuals = [];
-    const groupMembers = [];
-    const allSolid2 = [];
+  // --- Toggleable parts (see toggles.js) ---
+  let toggleMap = buildToggleMap(model, currentManifest.toggleGroups);
+  const modelChangeListeners = []; // GUI folders that depend on the model register here
+  onModelLoaded = (m) => {
+    toggleMap = buildToggleMap(m, currentManifest.toggleGroups);
+    // Fresh model arrives assembled; put it straight at the current timeline position
+    explodeParts = buildExplodeParts(m, currentManifest.explode, toggleMap.groups);
+    measure.setModel(m); // while still assembled
+    section.setModel(m);
+    applyExplode(explodeParts, explodeT);
+    guide.load(currentManifest.guide, m, explodeParts, toggleMap.groups);
+    initHotspots(m, currentManifest.hotspots);
+    configurator.setModel(m, currentManifest.slots);
+    renderBom();
+    applyPanelColor();
+    partMaterials.setModel(m, modelKeyOf(m));
+    annotations.setModel(m, modelKeyOf(m));
+    partsTree.rebuild(m);
+    modelChangeListeners.forEach((fn) => fn(m));
+  };
 
-    // First pass: find every object whose name contains "Solid2"
-    root.traverse((child) => {
-      if (child.name && child.name.includes('Solid2')) {
-        allSolid2.push(child);
-      }
-    });
+  // Material assignments are stored per manifest, so both qualities share them
+  function modelKeyOf(m) {
+    const path = MODEL_PATHS[m.userData.variant];
+    return path ? manifestUrlFor(path) : m.userData.variant;
+  }
 
-    console.log('All Solid2 objects found:', allSolid2.map((p) =>
-      `${p.name} (${p.isMesh ? 'mesh' : 'node'}, children: ${p.children.length})`
-    ));
+  // Case panel color (members of `colorable` toggle groups)
+  let panelColor = PANEL_COLOR_DEFAULT;
 
-    // Categorise: exact "Solid2" or contains ".001" → individual, rest → group
-    // Process top-level Solid2 objects (not nested under another Solid2 object)
-    // Exception: "Solid2" and "Solid2.001" are both kept even if one is parent of the other
-    allSolid2.forEach((child) => {
-      if (child.name === 'Solid2' || child.name.includes('.001')) {
-        individuals.push(child);
-      } else {
-        groupMembers.push(child);
-      }
+  function applyPanelColor() {
+    const col = new THREE.Color(panelColor);
+    toggleMap.colorable.forEach((obj) => {
+      obj.traverse((c) => {
+        if (c.isMesh && c.material) {
+          const mat = isolation.materialOf(c);
+          if (mat.userData.finish) return; // a part finish owns its color
+          mat.color.copy(col);
+          mat.needsUpdate = true;
+        }
+      });
     });
-
-    console.log('Toggle individuals:', individuals.map((p) => p.name));
-    console.log('Toggle group members:', groupMembers.map((p) => p.name));
-    return { individuals, groupMembers };
   }
-
-  let toggleMap = buildToggleMap(model);
-  onModelLoaded = (m) => {
-    toggleMap = buildToggleMap(m);
-    explodeParts = buildExplodeParts(m);
-    initHotspots(m);
-  };
+  applyPanelColor();
+  partMaterials.setModel(model, modelKeyOf(model));
 
   const raycaster = new THREE.Raycaster();
   const pointer = new THREE.Vector2();
@@ -581,23 +541,158 @@ async function init() {
   let hoveredGroup = null; // currently highlighted group (array of objects)
   const highlightEmissive = new THREE.Color(0x333333);
   const defaultEmissive = new THREE.Color(0x000000);
+  // Parts tree selection uses the same emissive mechanism with its own tint
+  let selectedParts = [];
+  const selectionListeners = [];
+  const selectEmissive = new THREE.Color(0x1a3a5c);
 
+  // color null → the part's own emissive (a finish may set one)
   function setGroupEmissive(objects, color) {
     objects.forEach((obj) => {
       obj.traverse((c) => {
-        if (c.isMesh && c.material) {
-          c.material.emissive.copy(color);
+        if (c.isMesh && c.material && !c.userData.ghost) {
+          c.material.emissive.copy(color ?? c.material.userData.emissive ?? defaultEmissive);
         }
       });
     });
   }
 
+  // Drop the hover highlight without losing the selection highlight underneath
+  function clearHover() {
+    if (!hoveredGroup) return;
+    setGroupEmissive(hoveredGroup, null);
+    setGroupEmissive(selectedParts, selectEmissive);
+    hoveredGroup = null;
+  }
+
+  function selectParts(objects) {
+    setGroupEmissive(selectedParts, null);
+    selectedParts = objects;
+    setGroupEmissive(selectedParts, selectEmissive);
+    if (hoveredGroup) setGroupEmissive(hoveredGroup, highlightEmissive);
+    selectionListeners.forEach((fn) => fn(selectedParts));
+  }
+
+  // --- Parts tree (P to toggle) ---
+  const partsTree = createPartsTree(document.querySelector('.viewer-main'), {
+    onSelect: (obj) => { selectParts(obj ? [obj] : []); },
+  });
+  partsTree.rebuild(model);
+
+  // --- Revision compare (see compare.js) ---
+  const comparePanel = createComparePanel(document.querySelector('.viewer-main'), {
+    onLayout: (layout) => {
+      compare.layout = layout;
+      frameObject(compare.objects);
+    },
+    onPick: (entry) => { frameObject(compare.objectOf(entry)); },
+    onClose: () => { compare.stop(); },
+  });
+
+  function renderCompare() {
+    comparePanel.open = compare.active;
+    if (compare.active) comparePanel.render(compare);
+  }
+
+  // Loads REV-<revision> in the quality on show and compares the installed model with it
+  async function compareWith(revision) {
+    const { variant } = currentModel.userData;
+    const other = await loadModel(MODEL_PATHS[variant] ? variant : 'full', { revision });
+    // Parts are matched assembled, with their own materials
+    if (guide.active) guide.stop();
+    explodeT = explodeGoal = 0;
+    applyExplode(explodeParts, 0);
+    isolation.unisolate();
+    bomPanel.open = false;
+    compare.start(currentModel, other, MODEL_REVISION, revision);
+    frameObject(compare.objects);
+  }
+
+  // --- Review annotations (N to place pins) ---
+  const annotationPanel = createAnnotationPanel(document.querySelector('.viewer-main'), {
+    onSelect: (id) => {
+      annotations.select(id);
+      const pin = annotations.selected;
+      if (pin?.camera) flythrough.goTo({ camera: pin.camera, travel: { duration: 1.2 } });
+    },
+    onEdit: (id, changes) => { annotations.edit(id, changes); },
+    onDelete: (id) => { annotations.remove(id); },
+    onSaveView: (id) => { annotations.edit(id, { camera: getCameraState() }); },
+    onShowResolved: (v) => { annotations.showResolved = v; },
+    onExport: () => { exportAnnotations(annotations.modelKey, annotations.list); },
+    onImport: async () => {
+      try {
+        const imported = await importAnnotationsFile();
+        if (imported) annotations.merge(imported);
+      } catch (err) {
+        console.error('Annotation import failed:', err);
+        alert('Annotation import failed — ' + err.message);
+      }
+    },
+  });
+  const annotations = createAnnotations(document.querySelector('.viewer-main'), {
+    pick: raycastModel,
+    getCamera: getCameraState,
+    onChange: renderAnnotations,
+  });
+
+  function renderAnnotations() {
+    // A pin picked on the model (or just placed) opens the list
+    if (annotations.selected) annotationPanel.open = true;
+    annotationPanel.render(annotations.list, annotations.selected, annotations.showResolved);
+    devPanel.report('Orphaned annotations', annotations.orphans.map((p) => `${p.text || p.id}: no node named "${p.node}"`));
+  }
+  annotations.setModel(model, modelKeyOf(model));
+
+  // --- Configurator + bill of materials (B to toggle) ---
+  const configurator = createConfigurator({
+    loadGLTF,
+    prepare: prepareMaterials,
+    // The slot's hotspot describes and points at the chosen option
+    onChange: (slot, option, objects) => {
+      const inst = hotspotInstances.find((h) => h.base.id === slot.hotspot);
+      if (inst) {
+        inst.data = { ...inst.base, desc: option.label, details: option.details ?? inst.base.details };
+        inst.object = objects[0] ?? inst.object;
+        setHotspotText(inst);
+        if (drawer.current === inst) drawer.open(inst);
+      }
+      // Sub-assemblies come and go from the hierarchy
+      if (slot.options.some((o) => o.model)) {
+        partsTree.rebuild(currentModel);
+        annotations.relink();
+      }
+      // Dimensions of the assembly as now configured
+      applyExplode(explodeParts, 0);
+      measure.refresh();
+      applyExplode(explodeParts, explodeT);
+      renderBom();
+    },
+  });
+
+  const bomPanel = createBomPanel(document.querySelector('.viewer-main'), {
+    onChoose: (slotId, optionId) => {
+      configurator.choose(slotId, optionId).catch((err) => {
+        console.error(`Configurator: ${slotId} → ${optionId} failed:`, err);
+        devPanel.report('Configurator', [`${slotId} → ${optionId}: ${err.message}`]);
+        renderBom(); // put the picker back on what is showing
+      });
+    },
+    onExport: () => { configurator.exportJSON(currentManifest.model, currentManifest.hotspots); },
+  });
+
+  function renderBom() {
+    bomPanel.render(configurator.summary(currentManifest.hotspots));
+  }
+  configurator.setModel(model, currentManifest.slots);
+  renderBom();
+
   function getToggleGroup(mesh) {
     // Returns the array of objects that would be toggled if this mesh is clicked
-    const indivOwner = findOwner(mesh, toggleMap.individuals);
-    if (indivOwner) return [indivOwner];
-    const groupOwner = findOwner(mesh, toggleMap.groupMembers);
-    if (groupOwner) return toggleMap.groupMembers;
+    for (const group of toggleMap.groups) {
+      const owner = findOwner(mesh, group.members);
+      if (owner) return group.together ? group.members : [owner];
+    }
     return null;
   }
 
@@ -606,8 +701,7 @@ async function init() {
     pointer.y = -(e.clientY / window.innerHeight) * 2 + 1;
     raycaster.setFromCamera(pointer, camera);
 
-    const allToggleable = [...toggleMap.individuals, ...toggleMap.groupMembers];
-    const meshes = collectMeshes(allToggleable.filter((p) => p.visible));
+    const meshes = collectMeshes(toggleMap.all.filter((p) => p.visible));
     const hits = raycaster.intersectObjects(meshes, false);
 
     let newGroup = null;
@@ -617,7 +711,7 @@ async function init() {
 
     // Only update if the hovered group changed
     if (newGroup !== hoveredGroup) {
-      if (hoveredGroup) setGroupEmissive(hoveredGroup, defaultEmissive);
+      clearHover();
       if (newGroup) setGroupEmissive(newGroup, highlightEmissive);
       hoveredGroup = newGroup;
       renderer.domElement.style.cursor = newGroup ? 'pointer' : '';
@@ -630,195 +724,352 @@ async function init() {
     pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
     raycaster.setFromCamera(pointer, camera);
 
-    const allToggleable = [...toggleMap.individuals, ...toggleMap.groupMembers];
-
     // Temporarily make hidden parts visible for raycasting
     const wasHidden = [];
-    allToggleable.forEach((part) => {
+    toggleMap.all.forEach((part) => {
       if (!part.visible) { wasHidden.push(part); part.visible = true; }
     });
 
-    const meshes = collectMeshes(allToggleable);
+    const meshes = collectMeshes(toggleMap.all);
     const hits = raycaster.intersectObjects(meshes, false);
 
     // Restore hidden state
     wasHidden.forEach((part) => { part.visible = false; });
 
     if (hits.length > 0) {
-      const hitMesh = hits[0].object;
-
-      // Check individual toggles first
-      const indivOwner = findOwner(hitMesh, toggleMap.individuals);
-      if (indivOwner) {
-        indivOwner.visible = !indivOwner.visible;
-        // Clear highlight
-        if (hoveredGroup) { setGroupEmissive(hoveredGroup, defaultEmissive); hoveredGroup = null; }
-        return true;
-      }
-
-      // Check group toggles
-      const groupOwner = findOwner(hitMesh, toggleMap.groupMembers);
-      if (groupOwner) {
-        const newVis = !groupOwner.visible;
-        toggleMap.groupMembers.forEach((m) => { m.visible = newVis; });
-        if (hoveredGroup) { setGroupEmissive(hoveredGroup, defaultEmissive); hoveredGroup = null; }
+      const group = getToggleGroup(hits[0].object);
+      if (group) {
+        const newVis = !group[0].visible;
+        group.forEach((m) => { m.visible = newVis; });
+        clearHover();
         return true;
       }
     }
     return false;
   }
 
-  // --- Explode view ---
-  // Collect every mesh in the model, compute outward direction from center
-  // Clamp direction upward so parts never explode downward into the shelf
-  let exploded = false;
-  let explodeT = 0; // 0 = assembled, 1 = fully exploded
-  const EXPLODE_DISTANCE = 0.3;
+  // --- Isolation (shift+click a part, U to restore) ---
+  // A click selects the hotspot part it belongs to, else its toggle part, else the mesh itself
+  function resolvePart(mesh) {
+    for (let obj = mesh; obj && obj !== currentModel; obj = obj.parent) {
+      if (hotspotInstances.some((h) => h.object === obj)) return obj;
+    }
+    const group = toggleMap.groups.find((g) => !g.together && findOwner(mesh, g.members));
+    return group ? findOwner(mesh, group.members) : mesh;
+  }
 
-  function buildExplodeParts(root) {
-    const parts = [];
-    const modelBox = new THREE.Box3().setFromObject(root);
-    const modelCtr = modelBox.getCenter(new THREE.Vector3());
-    const box = new THREE.Box3();
+  // First hit on a visible mesh of the model under the pointer, or null
+  function raycastModel(event) {
+    if (!currentModel) return null;
+    pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+    pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+    const meshes = [];
+    currentModel.traverseVisible((c) => { if (c.isMesh) meshes.push(c); });
+    return raycaster.intersectObjects(meshes, false).find((h) => section.keeps(h.point)) ?? null;
+  }
 
-    // Go deep — every mesh is an explode unit
-    root.traverse((child) => {
-      if (!child.isMesh) return;
+  // Part under the pointer (see resolvePart), or null
+  function pickPart(event) {
+    const hit = raycastModel(event);
+    return hit ? resolvePart(hit.object) : null;
+  }
+
+  function tryIsolatePart(event) {
+    const part = pickPart(event);
+    if (!part) return false;
+    if (isolation.selection.includes(part)) isolation.unisolate();
+    else isolation.isolate(currentModel, [part]);
+    return true;
+  }
 
-      box.setFromObject(child);
-      const childCenter = box.getCenter(new THREE.Vector3());
+  // --- Dimensions + measuring (D / M to toggle) ---
+  const measure = createMeasureOverlay(document.querySelector('.viewer-main'), { pick: raycastModel });
+  measure.setModel(model);
+  section.setModel(model);
+  renderer.domElement.addEventListener('mousemove', (e) => { measure.handleMove(e, camera); });
 
-      // Direction from model center to part center (world space)
-      const dir = new THREE.Vector3().subVectors(childCenter, modelCtr);
+  // --- Explode view ---
+  // Authored sequence from the manifest (see explode.js). explodeT is the
+  // timeline position; it runs towards explodeGoal at a constant speed so the
+  // order stays readable, or follows the GUI scrubber directly.
+  let explodeT = 0; // 0 = assembled, 1 = fully exploded
+  let explodeGoal = 0;
 
-      // Clamp: don't let parts go downward (y < 0 in world = into the shelf)
-      dir.y = Math.max(dir.y, 0.05);
-      dir.normalize();
+  let explodeParts = buildExplodeParts(model, currentManifest.explode, toggleMap.groups);
 
-      parts.push({
-        object: child,
-        originalPos: child.position.clone(),
-        // Convert world-space direction to parent-local-space
-        direction: child.parent
-          ? dir.applyQuaternion(child.parent.getWorldQuaternion(new THREE.Quaternion()).invert())
-          : dir,
-      });
-    });
-    console.log('Explode parts:', parts.length);
-    return parts;
+  function explodeDuration() {
+    return currentManifest.explode?.duration ?? EXPLODE_DEFAULTS.duration;
   }
 
-  let explodeParts = buildExplodeParts(model);
-
-  function updateExplode() {
-    const target = exploded ? 1 : 0;
-    explodeT += (target - explodeT) * 0.08;
+  function updateExplode(dt) {
+    // The assembly guide drives parts individually while it runs
+    if (guide.active) { guide.update(dt); return; }
+    const step = dt / explodeDuration();
+    explodeT += Math.max(-step, Math.min(step, explodeGoal - explodeT));
+    applyExplode(explodeParts, explodeT);
+  }
 
-    explodeParts.forEach(({ object, originalPos, direction }) => {
-      object.position.copy(originalPos).addScaledVector(direction, explodeT * EXPLODE_DISTANCE);
+  // --- Assembly guide (G to start, arrows / space to page, Esc to leave) ---
+  function showOnlyTag(id) {
+    hotspotInstances.forEach((inst) => {
+      inst.open = inst.data.id === id;
+      inst.tagEl.classList.toggle('visible', inst.open);
     });
   }
 
-  progressBar.style.width = '100%';
-  progressText.textContent = 'initializing...';
+  const guide = createGuide(document.querySelector('.viewer-main'), {
+    setView: (name) => { setView(name); },
+    highlight: (objects) => { selectParts(objects); },
+    openHotspot: showOnlyTag,
+    // Leave the model assembled, matching the explode timeline at rest
+    onExit: () => { explodeT = explodeGoal = 0; },
+  });
+  guide.load(currentManifest.guide, model, explodeParts, toggleMap.groups);
+
+  loadProgress.note('initializing...');
 
   // --- Camera orbit (click & keys to rotate) ---
   const modelBox = new THREE.Box3().setFromObject(model);
   const modelCenter = modelBox.getCenter(new THREE.Vector3());
-  const modelSize = modelBox.getSize(new THREE.Vector3());
-  const modelHeight = modelSize.y;
 
-  // Compute zoomed frustum so object fills ~95% of screen height
-  const FRUSTUM_ZOOMED_CALC = modelHeight / 0.95;
+  // Zoom is continuous: targetFrustum is the world-space height visible at the
+  // orbit target, for both cameras. Bounds keep the wall and shelf in frame.
+  const FRUSTUM_MIN = 0.05;
+  const FRUSTUM_MAX = FRUSTUM_DEFAULT * 1.25;
+  const ZOOM_STEP = 1.25;
+  const FRAME_MARGIN = 1.15; // framed objects fill ~87% of the view
 
   const defaultOrbitTarget = new THREE.Vector3(0, modelCenter.y, 0);
-  const zoomedOrbitTarget = new THREE.Vector3(0, modelCenter.y, 0); // center on object
   const orbitTarget = defaultOrbitTarget.clone();
-  let targetOrbitY = defaultOrbitTarget.y;
-  const orbitRadius = 2.5;
+  const orbitGoal = defaultOrbitTarget.clone(); // orbitTarget eases towards this
 
   let currentAzimuth = 0;
   let targetAzimuth = 0;
 
-  function toggleZoom() {
-    zoomed = !zoomed;
-    targetFrustum = zoomed ? FRUSTUM_ZOOMED_CALC : FRUSTUM_DEFAULT;
-    targetOrbitY = zoomed ? zoomedOrbitTarget.y : defaultOrbitTarget.y;
-    console.log('Zoom:', zoomed ? 'IN' : 'OUT', 'frustum:', targetFrustum.toFixed(2), 'modelHeight:', modelHeight.toFixed(2));
+  function setZoom(frustum) {
+    targetFrustum = THREE.MathUtils.clamp(frustum, FRUSTUM_MIN, FRUSTUM_MAX);
   }
 
-  function updateCamera() {
-    currentAzimuth += (targetAzimuth - currentAzimuth) * 0.1;
-    currentElevation += (targetElevation - currentElevation) * 0.08;
+  function zoomBy(factor) {
+    setZoom(targetFrustum * factor);
+  }
 
-    // Smooth zoom interpolation
-    frustumSize += (targetFrustum - frustumSize) * 0.08;
-    orbitTarget.y += (targetOrbitY - orbitTarget.y) * 0.08;
-    const a = window.innerWidth / window.innerHeight;
-    orthoCamera.left = -frustumSize * a / 2;
-    orthoCamera.right = frustumSize * a / 2;
-    orthoCamera.top = frustumSize / 2;
-    orthoCamera.bottom = -frustumSize / 2;
-    orthoCamera.updateProjectionMatrix();
-    // For perspective camera, map frustum to FOV
-    perspCamera.fov = frustumSize * (40 / FRUSTUM_DEFAULT);
-    perspCamera.updateProjectionMatrix();
+  function isZoomed() {
+    return targetFrustum < FRUSTUM_DEFAULT - 1e-3 || !orbitGoal.equals(defaultOrbitTarget);
+  }
+
+  function resetZoom() {
+    targetFrustum = FRUSTUM_DEFAULT;
+    orbitGoal.copy(defaultOrbitTarget);
+  }
+
+  // Center the orbit on one or more objects and zoom until their bounding box fills
+  // the view. The box is measured along the camera's right/up axes at the target angles.
+  const frameCorner = new THREE.Vector3();
+  function frameObject(objects) {
+    const box = new THREE.Box3();
+    [].concat(objects).forEach((obj) => box.expandByObject(obj));
+    if (box.isEmpty()) return;
+    const az = targetAzimuth, el = targetElevation;
+    const right = new THREE.Vector3(Math.cos(az), 0, -Math.sin(az));
+    const up = new THREE.Vector3(-Math.sin(az) * Math.sin(el), Math.cos(el), -Math.cos(az) * Math.sin(el));
+    let w = 0, h = 0;
+    const center = box.getCenter(new THREE.Vector3());
+    for (let i = 0; i < 8; i++) {
+      frameCorner.set(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z);
+      frameCorner.sub(center);
+      w = Math.max(w, Math.abs(frameCorner.dot(right)) * 2);
+      h = Math.max(h, Math.abs(frameCorner.dot(up)) * 2);
+    }
+    const aspect = window.innerWidth / window.innerHeight;
+    orbitGoal.copy(center);
+    setZoom(Math.max(h, w / aspect) * FRAME_MARGIN);
+    pointerInput.stop();
+  }
+
+  // Isolated parts, else the parts-tree selection, else the whole model
+  function frameSelection() {
+    const objects = isolation.active ? isolation.selection : selectedParts;
+    frameObject(objects.length ? objects : currentModel);
+  }
+
+  // --- Camera bookmarks + flythrough (see bookmarks.js) ---
+  // Snapshots read the eased values, so a tween starts where the camera is now
+  function getCameraState() {
+    return {
+      azimuth: currentAzimuth, elevation: currentElevation, frustum: frustumSize,
+      fov: baseFov, target: orbitTarget.toArray(), projection: cameraType,
+    };
+  }
+
+  // Tweens drive the camera directly, bypassing updateCamera's easing
+  function applyCameraState(c) {
+    if (c.projection && c.projection !== cameraType) switchCamera(c.projection);
+    currentAzimuth = targetAzimuth = c.azimuth;
+    currentElevation = targetElevation = c.elevation;
+    frustumSize = targetFrustum = c.frustum;
+    if (c.fov) baseFov = c.fov;
+    orbitTarget.copy(orbitGoal.fromArray(c.target));
+  }
+
+  const flythrough = createFlythrough({ getCamera: getCameraState, applyCamera: applyCameraState });
+
+  // Kiosk mode (?kiosk): loop the bookmark flythrough, resuming after a spell without input
+  const KIOSK_IDLE = 30; // seconds
+  const kiosk = new URLSearchParams(location.search).has('kiosk');
+  let lastInteraction = -Infinity; // start right away
+  function interrupted() {
+    flythrough.stop();
+    lastInteraction = performance.now() * 0.001;
+  }
+
+  // Z / double-click on empty space: fit the whole model, or back out to the default framing
+  function toggleZoom() {
+    if (isZoomed()) resetZoom();
+    else frameObject(currentModel);
+  }
+
+  // Per-frame easing factor tuned at 60 fps, scaled so any frame rate
+  // (including the recorder's fixed step) eases at the same speed
+  function ease(rate, dt) {
+    return 1 - Math.pow(1 - rate, dt * 60);
+  }
 
-    const az = currentAzimuth + swayAzOffset;
-    const el = currentElevation + swayElOffset;
-    camera.position.x = orbitTarget.x + orbitRadius * Math.sin(az) * Math.cos(el);
-    camera.position.y = orbitTarget.y + orbitRadius * Math.sin(el);
-    camera.position.z = orbitTarget.z + orbitRadius * Math.cos(az) * Math.cos(el);
+  function updateCamera(dt) {
+    currentAzimuth += (targetAzimuth - currentAzimuth) * ease(0.1, dt);
+    currentElevation += (targetElevation - currentElevation) * ease(0.08, dt);
 
-    camera.lookAt(orbitTarget);
+    // Smooth zoom interpolation
+    frustumSize += (targetFrustum - frustumSize) * ease(0.08, dt);
+    orbitTarget.lerp(orbitGoal, ease(0.08, dt));
+    // Both cameras follow, so switching projection keeps the framing
+    const pose = {
+      azimuth: currentAzimuth + swayAzOffset,
+      elevation: currentElevation + swayElOffset,
+      frustum: frustumSize,
+      target: orbitTarget,
+      fov: baseFov,
+    };
+    const a = viewport.width / viewport.height;
+    poseCamera(orthoCamera, pose, a);
+    poseCamera(perspCamera, pose, a);
+    focusOnTarget(bokehPass, camera, orbitTarget, focusOffset);
   }
 
   // --- View presets ---
-  const viewList = ['Front', 'Right', 'Rear', 'Left', 'Isometric'];
-  // ~60° instead of 90° so the wall stays visible from side views
-  const viewAngles = { Front: 0, Right: -Math.PI / 3, Rear: Math.PI, Left: Math.PI / 3, Isometric: Math.PI / 4 };
+  const viewList = Object.keys(VIEW_ANGLES);
   let viewIndex = 0;
 
-  // Isometric uses a higher elevation; track target elevation for smooth lerp
-  const ISO_ELEVATION = 0.55;
-  const DEFAULT_ELEVATION = 0.15;
+  // Track target elevation for smooth lerp
   let currentElevation = DEFAULT_ELEVATION;
   let targetElevation = DEFAULT_ELEVATION;
 
   function setView(name) {
-    const a = viewAngles[name];
+    const a = VIEW_ANGLES[name];
     if (a !== undefined) {
       targetAzimuth = a;
-      targetElevation = name === 'Isometric' ? ISO_ELEVATION : DEFAULT_ELEVATION;
+      targetElevation = viewElevation(name);
       viewIndex = viewList.indexOf(name);
+      pointerInput.stop(); // a preset wins over a coasting fling
     }
   }
 
+  // Any direct input takes the camera back from a running flythrough
+  renderer.domElement.addEventListener('pointerdown', interrupted);
+  renderer.domElement.addEventListener('wheel', interrupted, { passive: true });
+
+  // --- Pointer input (drag, pinch, ctrl+wheel, two-finger / shift-drag pan) ---
+  // Gestures move the same targets as the presets, so updateCamera's easing applies.
+  // Limits keep the wall and shelf in frame; presets (Rear) may sit outside
+  // the azimuth limit, and dragging from there can only come back inwards.
+  const ORBIT_PER_PIXEL = 0.006; // rad
+  const AZIMUTH_LIMIT = 1.3;
+  const ELEVATION_MIN = 0.02; // just above the shelf
+  const ELEVATION_MAX = 1.2;
+  const panBounds = modelBox.clone().expandByScalar(0.3);
+  const panRight = new THREE.Vector3();
+  const panUp = new THREE.Vector3();
+
+  const pointerInput = createPointerInput(renderer.domElement, {
+    onOrbit: (dx, dy) => {
+      const az = targetAzimuth - dx * ORBIT_PER_PIXEL;
+      targetAzimuth = THREE.MathUtils.clamp(az,
+        Math.min(-AZIMUTH_LIMIT, targetAzimuth), Math.max(AZIMUTH_LIMIT, targetAzimuth));
+      targetElevation = THREE.MathUtils.clamp(targetElevation + dy * ORBIT_PER_PIXEL, ELEVATION_MIN, ELEVATION_MAX);
+    },
+    onZoom: zoomBy,
+    onPan: (dx, dy) => {
+      // One pixel covers frustumSize / viewport height world units at the target
+      const unitsPerPixel = frustumSize / window.innerHeight;
+      panRight.setFromMatrixColumn(camera.matrixWorld, 0);
+      panUp.setFromMatrixColumn(camera.matrixWorld, 1);
+      orbitGoal.addScaledVector(panRight, -dx * unitsPerPixel).addScaledVector(panUp, dy * unitsPerPixel);
+      orbitGoal.clamp(panBounds.min, panBounds.max);
+    },
+  });
+
   // Click: toggle part → cycle views (hotspots use marker dot click handlers)
   renderer.domElement.addEventListener('click', (e) => {
+    if (measure.handleClick(e, camera)) return;
+    if (annotations.handleClick(e)) {
+      annotationPanel.focusText();
+      return;
+    }
+    if (e.shiftKey && tryIsolatePart(e)) return;
     if (tryTogglePart(e)) return;
     viewIndex = (viewIndex + 1) % viewList.length;
     setView(viewList[viewIndex]);
   });
   renderer.domElement.addEventListener('contextmenu', (e) => {
     e.preventDefault();
+    if (measure.cancel()) return;
     if (tryTogglePart(e)) return;
     viewIndex = (viewIndex - 1 + viewList.length) % viewList.length;
     setView(viewList[viewIndex]);
   });
 
-  // Arrow keys to rotate, Z or ArrowUp/ArrowDown to zoom
+  // Arrow keys to rotate, ArrowUp/ArrowDown or +/- to zoom, Z to fit the model, F to frame the selection
   window.addEventListener('keydown', (e) => {
+    // Typing in a text field (GUI, parts filter) must not drive the viewer
+    if (e.target.closest?.('input, textarea, select')) return;
+    interrupted();
+    if (guide.handleKey(e)) return;
     if (e.key === 'ArrowRight') {
       viewIndex = (viewIndex + 1) % viewList.length;
       setView(viewList[viewIndex]);
     } else if (e.key === 'ArrowLeft') {
       viewIndex = (viewIndex - 1 + viewList.length) % viewList.length;
       setView(viewList[viewIndex]);
-    } else if (e.key === 'z' || e.key === 'Z' || e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+    } else if (e.key === 'ArrowUp' || e.key === '+' || e.key === '=') {
+      zoomBy(1 / ZOOM_STEP);
+    } else if (e.key === 'ArrowDown' || e.key === '-') {
+      zoomBy(ZOOM_STEP);
+    } else if (e.key === 'z' || e.key === 'Z') {
       toggleZoom();
+    } else if (e.key === 'f' || e.key === 'F') {
+      frameSelection();
+    } else if (e.key === 'u' || e.key === 'U') {
+      isolation.unisolate();
+    } else if (e.key === 'g' || e.key === 'G') {
+      if (guide.active) guide.stop();
+      else guide.start();
+    } else if (e.key === 'p' || e.key === 'P') {
+      partsTree.open = !partsTree.open;
+    } else if (e.key === 'b' || e.key === 'B') {
+      bomPanel.open = !bomPanel.open;
+    } else if (e.key === 'd' || e.key === 'D') {
+      measure.showDimensions = !measure.showDimensions;
+    } else if (e.key === 'm' || e.key === 'M') {
+      measure.active = !measure.active;
+    } else if (e.key === 'n' || e.key === 'N') {
+      annotations.active = !annotations.active;
+      if (annotations.active) annotationPanel.open = true;
+    } else if (e.key === 'Escape') {
+      measure.cancel();
     } else if (e.key === 'e' || e.key === 'E') {
-      exploded = !exploded;
+      explodeGoal = explodeGoal > 0.5 ? 0 : 1;
+      const exploded = explodeGoal === 1;
       // Show all tags when exploding, hide when collapsing
       hotspotInstances.forEach((inst) => {
         inst.open = exploded;
@@ -827,248 +1078,29 @@ async function init() {
     }
   });
 
-  // Double-click to toggle zoom
+  // Double-click: frame the part under the pointer, or toggle the model framing
   renderer.domElement.addEventListener('dblclick', (e) => {
     e.preventDefault();
-    toggleZoom();
+    const part = pickPart(e);
+    if (part) frameObject(part);
+    else toggleZoom();
   });
 
-  // --- ScandinavianFilmShader (combined vignette / grain / CA / color grading) ---
-  const ScandinavianFilmShader = {
-    uniforms: {
-      tDiffuse: { value: null },
-      uTime: { value: 0 },
-      uVignette: { value: 1 },
-      uVignetteAmount: { value: defaults.postprocessing.vignetteAmount },
-      uGrain: { value: 1 },
-      uGrainAmount: { value: defaults.postprocessing.grainAmount },
-      uCA: { value: 1 },
-      uCAAmount: { value: defaults.postprocessing.chromaticAberrationAmount },
-      uColorGrading: { value: 1 },
-      uMidSaturation: { value: defaults.postprocessing.midSaturation },
-      uShadowWarmth: { value: defaults.postprocessing.shadowWarmth },
-      uHighlightWarmth: { value: defaults.postprocessing.highlightWarmth },
-      uLensDistortion: { value: 1 },
-      uLensDistortionAmount: { value: defaults.postprocessing.lensDistortionAmount ?? 0.03 },
-    },
-    vertexShader: /* glsl */`
-      varying vec2 vUv;
-      void main() {
-        vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `,
-    fragmentShader: /* glsl */`
-      uniform sampler2D tDiffuse;
-      uniform float uTime;
-      uniform float uVignette;
-      uniform float uVignetteAmount;
-      uniform float uGrain;
-      uniform float uGrainAmount;
-      uniform float uCA;
-      uniform float uCAAmount;
-      uniform float uColorGrading;
-      uniform float uMidSaturation;
-      uniform float uShadowWarmth;
-      uniform float uHighlightWarmth;
-      uniform float uLensDistortion;
-      uniform float uLensDistortionAmount;
-      varying vec2 vUv;
-
-      // Hash-based noise
-      float hash(vec2 p) {
-        vec3 p3 = fract(vec3(p.xyx) * 0.1031);
-        p3 += dot(p3, p3.yzx + 33.33);
-        return fract((p3.x + p3.y) * p3.z);
-      }
-
-      void main() {
-        vec2 uv = vUv;
-
-        // --- Barrel Lens Distortion ---
-        if (uLensDistortion > 0.5) {
-          vec2 centered = uv - 0.5;
-          float r2 = dot(centered, centered);
-          uv = 0.5 + centered * (1.0 + uLensDistortionAmount * r2);
-        }
-
-        // --- Chromatic Aberration ---
-        vec3 col;
-        if (uCA > 0.5) {
-          vec2 dir = uv - 0.5;
-          float d = length(dir);
-          vec2 offset = dir * d * uCAAmount;
-          col.r = texture2D(tDiffuse, uv + offset).r;
-          col.g = texture2D(tDiffuse, uv).g;
-          col.b = texture2D(tDiffuse, uv - offset).b;
-        } else {
-          col = texture2D(tDiffuse, uv).rgb;
-        }
-
-        // --- Color Grading (warm shadows, desaturated mids, warm highlights) ---
-        if (uColorGrading > 0.5) {
-          float luma = dot(col, vec3(0.2126, 0.7152, 0.0722));
-          // Desaturate midtones
-          col = mix(vec3(luma), col, uMidSaturation);
-          // Warm shadows (add warmth to dark areas)
-          float shadowMask = 1.0 - smoothstep(0.0, 0.4, luma);
-          col.r += shadowMask * uShadowWarmth;
-          col.g += shadowMask * uShadowWarmth * 0.4;
-          // Warm highlights
-          float hiMask = smoothstep(0.6, 1.0, luma);
-          col.r += hiMask * uHighlightWarmth;
-          col.g += hiMask * uHighlightWarmth * 0.6;
-        }
-
-        // --- Film Grain ---
-        if (uGrain > 0.5) {
-          float n = hash(uv * 1000.0 + uTime * 100.0) - 0.5;
-          col += n * uGrainAmount;
-        }
-
-        // --- Vignette ---
-        if (uVignette > 0.5) {
-          float d = distance(uv, vec2(0.5));
-          float vig = smoothstep(0.7, 0.3, d * uVignetteAmount * 3.0);
-          col *= mix(1.0, vig, uVignetteAmount);
-        }
-
-        gl_FragColor = vec4(col, 1.0);
-      }
-    `,
-  };
-
-  // --- Post-processing ---
-  const renderTarget = new THREE.WebGLRenderTarget(window.innerWidth, window.innerHeight, {
-    type: THREE.HalfFloatType,
-    samples: 4,
+  // --- Post-processing (see scene.js) ---
+  const {
+    composer, ssaoPass, bokehPass, bloomPass, filmPass, flarePass, smaaPass, outputPass,
+  } = createPostStack(renderer, scene, camera, {
+    width: window.innerWidth, height: window.innerHeight, perspective: cameraType === 'Perspective',
   });
-  const composer = new EffectComposer(renderer, renderTarget);
-  composer.addPass(new RenderPass(scene, camera));
-
-  // SSAO — subtle ambient occlusion for shelf/case contact
-  const ssaoPass = new SSAOPass(scene, camera, window.innerWidth, window.innerHeight);
-  ssaoPass.kernelRadius = 0.12;
-  ssaoPass.minDistance = 0.0003;
-  ssaoPass.maxDistance = 0.025;
-  ssaoPass.intensity = 1.2;
-  ssaoPass.enabled = true;
-  composer.addPass(ssaoPass);
-
-  // Depth of Field — BokehPass
-  const bokehPass = new BokehPass(scene, camera, {
-    focus: defaults.postprocessing.dofFocus,
-    aperture: defaults.postprocessing.dofAperture,
-    maxblur: defaults.postprocessing.dofMaxBlur,
-  });
-  bokehPass.enabled = defaults.postprocessing.dof;
-  // Set ortho mode for default ortho camera
-  bokehPass.materialBokeh.defines.PERSPECTIVE_CAMERA = cameraType === 'Perspective' ? 1 : 0;
-  bokehPass.materialBokeh.needsUpdate = true;
-  composer.addPass(bokehPass);
-
-  // Bloom — subtle glow on specular highlights
-  const bloomPass = new UnrealBloomPass(
-    new THREE.Vector2(window.innerWidth, window.innerHeight),
-    0.12,  // strength — gentle
-    0.4,   // radius
-    0.9    // threshold — only brightest highlights
-  );
-  bloomPass.enabled = true;
-  composer.addPass(bloomPass);
-
-  // Scandinavian film look (vignette + grain + CA + color grading in one pass)
-  const filmPass = new ShaderPass(ScandinavianFilmShader);
-  filmPass.enabled = true;
-  composer.addPass(filmPass);
-
-  // Anamorphic lens flare — horizontal streak on bright specular hits
-  const AnamorphicFlareShader = {
-    uniforms: {
-      tDiffuse: { value: null },
-      uEnabled: { value: 1 },
-      uThreshold: { value: defaults.postprocessing.flareThreshold ?? 0.85 },
-      uStrength: { value: defaults.postprocessing.flareStrength ?? 0.15 },
-      uSteps: { value: defaults.postprocessing.flareSteps ?? 12 },
-      uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-    },
-    vertexShader: /* glsl */`
-      varying vec2 vUv;
-      void main() {
-        vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `,
-    fragmentShader: /* glsl */`
-      uniform sampler2D tDiffuse;
-      uniform float uEnabled;
-      uniform float uThreshold;
-      uniform float uStrength;
-      uniform float uSteps;
-      uniform vec2 uResolution;
-      varying vec2 vUv;
-      void main() {
-        vec4 col = texture2D(tDiffuse, vUv);
-        if (uEnabled < 0.5) { gl_FragColor = col; return; }
-        // Horizontal blur of bright pixels only
-        float texelW = 1.0 / uResolution.x;
-        vec3 streak = vec3(0.0);
-        float total = 0.0;
-        int steps = int(uSteps);
-        for (int i = -24; i <= 24; i++) {
-          if (i < -steps || i > steps) continue;
-          float w = 1.0 - abs(float(i)) / uSteps;
-          w *= w; // quadratic falloff for anamorphic shape
-          vec3 s = texture2D(tDiffuse, vUv + vec2(float(i) * texelW * 3.0, 0.0)).rgb;
-          float luma = dot(s, vec3(0.2126, 0.7152, 0.0722));
-          float bright = max(0.0, luma - uThreshold);
-          streak += s * bright * w;
-          total += w;
-        }
-        streak /= total;
-        // Tint streak slightly warm/blue for anamorphic look
-        streak *= vec3(0.8, 0.85, 1.2);
-        gl_FragColor = vec4(col.rgb + streak * uStrength, col.a);
-      }
-    `,
-  };
-  const flarePass = new ShaderPass(AnamorphicFlareShader);
-  flarePass.enabled = true;
-  composer.addPass(flarePass);
-
-  // SMAA anti-aliasing
-  const smaaPass = new SMAAPass(window.innerWidth, window.innerHeight);
-  smaaPass.enabled = defaults.postprocessing.smaa;
-  composer.addPass(smaaPass);
-
-  // Output pass for correct color space
-  composer.addPass(new OutputPass());
+  section.wrapPasses(ssaoPass, bokehPass);
 
   // --- Resize ---
-  window.addEventListener('resize', () => {
-    const w = window.innerWidth;
-    const h = window.innerHeight;
-    const a = w / h;
-    // Update both cameras
-    orthoCamera.left = -frustumSize * a / 2;
-    orthoCamera.right = frustumSize * a / 2;
-    orthoCamera.top = frustumSize / 2;
-    orthoCamera.bottom = -frustumSize / 2;
-    orthoCamera.updateProjectionMatrix();
-    perspCamera.aspect = a;
-    perspCamera.updateProjectionMatrix();
-    renderer.setSize(w, h);
-    composer.setSize(w, h);
-    ssaoPass.setSize(w, h);
-    bokehPass.renderTargetDepth.setSize(w, h);
-  });
-
   // --- Camera sway (subtle idle drift) ---
   const swayDefaults = defaults.cameraSway || { enabled: true, azimuthAmount: 0.008, elevationAmount: 0.003, speed: 0.4 };
   let swayEnabled = swayDefaults.enabled;
-  const swayAzimuth = swayDefaults.azimuthAmount;
-  const swayElevation = swayDefaults.elevationAmount;
-  const swaySpeed = swayDefaults.speed;
+  let swayAzimuth = swayDefaults.azimuthAmount;
+  let swayElevation = swayDefaults.elevationAmount;
+  let swaySpeed = swayDefaults.speed;
   let swayAzOffset = 0;
   let swayElOffset = 0;
 
@@ -1079,217 +1111,254 @@ async function init() {
     'Diagonal ↘': 4, 'Diagonal ↙': 5,
     'Isometric ↘': 6, 'Isometric ↙': 7,
   };
+  // GUI / preset lighting overrides, layered on top of the active context every frame.
+  // Keys mirror the context fields (ambientIntensity, keyColor, keyPos, exposure, ...).
+  const lightOverrides = {};
+
+  // --- Video recorder ---
+  // Shots pose the scene before each recorded frame (see recorder.js). The
+  // recorder drives renderFrame() itself, so camera easing, grain and sway
+  // advance by exactly 1 / fps per frame.
+  let wipeOverride = null; // { from, to, t } — a recorded wipe, bypassing scrollPosition
+
+  function smoothstep(x, a, b) {
+    const t = Math.max(0, Math.min(1, (x - a) / (b - a)));
+    return t * t * (3 - 2 * t);
+  }
+
+  const SHOTS = {
+    'Current view': {
+      update() {},
+    },
+    // One full turn of the model about world Y through its bounds center
+    'Turntable': (() => {
+      const axis = new THREE.Vector3(0, 1, 0);
+      const spin = new THREE.Quaternion();
+      const pivot = new THREE.Vector3();
+      const offset = new THREE.Vector3();
+      let saved = null;
+      return {
+        start() {
+          const m = currentModel;
+          saved = { model: m, position: m.position.clone(), quaternion: m.quaternion.clone() };
+          new THREE.Box3().setFromObject(m).getCenter(pivot);
+          offset.copy(m.position).sub(pivot);
+        },
+        update(p) {
+          spin.setFromAxisAngle(axis, p * Math.PI * 2);
+          saved.model.position.copy(offset).applyQuaternion(spin).add(pivot);
+          saved.model.quaternion.copy(spin).multiply(saved.quaternion);
+        },
+        end() {
+          if (!saved) return;
+          saved.model.position.copy(saved.position);
+          saved.model.quaternion.copy(saved.quaternion);
+          saved = null;
+        },
+      };
+    })(),
+    // Assembled → exploded, hold, and back
+    'Explode': (() => {
+      let saved = null;
+      return {
+        start() { saved = { t: explodeT, goal: explodeGoal }; },
+        update(p) {
+          const t = p < 0.6 ? smoothstep(p, 0, 0.4) : 1 - smoothstep(p, 0.6, 1);
+          explodeT = explodeGoal = t;
+        },
+        end() {
+          if (!saved) return;
+          explodeT = saved.t;
+          explodeGoal = saved.goal;
+          saved = null;
+        },
+      };
+    })(),
+    // Curtain wipe between the two contexts picked in the recorder panel
+    'Context wipe': {
+      from: 0,
+      to: 1,
+      update(p) {
+        wipeOverride = { from: this.from, to: this.to, t: smoothstep(p, 0.2, 0.8) };
+      },
+      end() { wipeOverride = null; },
+    },
+    'Flythrough': {
+      start() { flythrough.play(loadBookmarks(), { loop: true }); },
+      update() {},
+      end() { flythrough.stop(); },
+    },
+  };
+
+  const recorder = createRecorder({
+    canvas: renderer.domElement,
+    setRenderSize,
+    restoreRenderSize: () => { setRenderSize(window.innerWidth, window.innerHeight); },
+    renderFrame,
+  });
+
+  // opts: { shot, from, to, width, height, fps, duration, format, onProgress }
+  function recordVideo({ shot, from, to, ...opts }) {
+    const s = SHOTS[shot];
+    if (!s) throw new Error(`unknown shot "${shot}"`);
+    if (shot === 'Context wipe') {
+      s.from = Math.max(0, contexts.findIndex((c) => c.name === from));
+      s.to = Math.max(0, contexts.findIndex((c) => c.name === to));
+    }
+    if (shot === 'Flythrough' && !loadBookmarks().length) throw new Error('no camera bookmarks saved');
+    interrupted();
+    pointerInput.stop();
+    const name = `angl-${shot.toLowerCase().replace(/\s+/g, '-')}`;
+    // Carry on from the live clock so grain and sway don't restart
+    return recorder.record({ ...opts, shot: s, name, startTime: lastFrameTime });
+  }
+
+  // --- Still render ---
+  // The current context, camera and post stack at any size (see still.js).
+  // transparent drops the wall, shelf, ground and background; DOF is skipped
+  // then, as the bokeh shader writes opaque alpha. Bloom spreads relative to
+  // each tile rather than the whole frame, so it reads a little tighter on
+  // very large tiled renders.
+  async function renderStill({ width, height, format, transparent }) {
+    if (recorder.busy) throw new Error('a video is recording');
+    const hdr = format === STILL_FORMATS[2];
+    const ctx = contexts[Math.round(scrollPosition)];
+    applyContextNow(ctx);
+
+    const saved = {
+      background: scene.background,
+      clearAlpha: renderer.getClearAlpha(),
+      shelf: shelfGroup.visible,
+      ground: groundPlane.visible,
+      bokeh: bokehPass.enabled,
+    };
+    if (transparent) {
+      scene.background = null;
+      renderer.setClearAlpha(0);
+      shelfGroup.visible = false;
+      groundPlane.visible = false;
+      bokehPass.enabled = false;
+    }
+    // HDR keeps the composer output linear: no tone mapping or sRGB encoding
+    outputPass.enabled = !hdr;
+    composer.renderToScreen = false;
+
+    let image;
+    try {
+      image = captureTiled({
+        renderer, composer, width, height,
+        setRenderSize: (w, h, pixelRatio) => {
+          setRenderSize(w, h, pixelRatio);
+          // Cameras frame the full image; each tile is a view offset into it
+          viewport.width = width;
+          viewport.height = height;
+          updateCamera(0);
+        },
+        setTile: (x, y, w, h) => {
+          camera.setViewOffset(width, height, x, y, w, h);
+          ssaoPass.ssaoMaterial.uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
+          ssaoPass.ssaoMaterial.uniforms.cameraInverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+          filmPass.uniforms.uView.value.set(x / width, (height - y - h) / height, w / width, h / height);
+          // Streak length as on screen, not in output pixels
+          flarePass.uniforms.uResolution.value.set(w, h).multiplyScalar(window.innerWidth / width);
+        },
+        render: () => { composer.render(); },
+      });
+    } finally {
+      camera.clearViewOffset();
+      filmPass.uniforms.uView.value.set(0, 0, 1, 1);
+      composer.renderToScreen = true;
+      outputPass.enabled = true;
+      scene.background = saved.background;
+      renderer.setClearAlpha(saved.clearAlpha);
+      shelfGroup.visible = saved.shelf;
+      groundPlane.visible = saved.ground;
+      bokehPass.enabled = saved.bokeh;
+      setRenderSize(window.innerWidth, window.innerHeight);
+    }
+    await saveStill(image, format, `angl-${ctx.name.toLowerCase().replace(/\s+/g, '-')}`);
+  }
+
   createGUI({
     renderer, scene, camera, model,
     lights: { ambient, keyLight, fillLight, rimLight, bounceLight },
+    lightOverrides,
     groundPlane, grid, bloomPass, smaaPass, ssaoPass, bokehPass, filmPass, flarePass,
-    toggleMap,
-    loadModel, setView, switchCamera,
+    getToggleMap: () => toggleMap,
+    onModelChange: (fn) => { modelChangeListeners.push(fn); },
+    explode: {
+      get exploded() { return explodeGoal > 0.5; },
+      set exploded(v) { explodeGoal = v ? 1 : 0; },
+      // Scrubbing parks the timeline where the slider leaves it
+      get t() { return explodeT; },
+      set t(v) { explodeT = explodeGoal = v; },
+    },
+    guide,
+    isolation,
+    isolationModes: ISOLATION_MODES,
+    partsTree,
+    bomPanel,
+    measure: {
+      tool: measure,
+      // 'W × H × D mm' of the assembled model
+      get size() {
+        const d = measure.dimensions;
+        return d ? `${[d.width, d.height, d.depth].map((v) => Math.round(v)).join(' × ')} mm` : '';
+      },
+    },
+    annotations: { pins: annotations, panel: annotationPanel },
+    compare: { tool: compare, layouts: COMPARE_LAYOUTS, revision: MODEL_REVISION, start: compareWith },
+    section: { tool: section, modes: SECTION_MODES, axes: SECTION_AXES, capStyles: CAP_STYLES },
+    panel: {
+      get color() { return panelColor; },
+      set color(v) { panelColor = v; applyPanelColor(); },
+    },
+    partMaterials: {
+      editor: partMaterials,
+      getSelection: () => selectedParts,
+      onSelectionChange: (fn) => { selectionListeners.push(fn); },
+    },
+    loadModel, modelAvailability, setView, switchCamera,
+    // Magnification over the default framing
+    getZoom: () => FRUSTUM_DEFAULT / targetFrustum,
+    setZoom: (v) => { setZoom(FRUSTUM_DEFAULT / v); },
+    zoomRange: { min: FRUSTUM_DEFAULT / FRUSTUM_MAX, max: FRUSTUM_DEFAULT / FRUSTUM_MIN },
+    frameSelection,
+    cameraBookmarks: { getCamera: getCameraState, flythrough },
+    video: {
+      shots: Object.keys(SHOTS),
+      contextNames: contexts.map((c) => c.name),
+      record: recordVideo,
+      cancel: () => { recorder.cancel(); },
+    },
+    still: { render: renderStill },
+    getView: () => viewList[viewIndex],
+    getCameraType: () => cameraType,
     viewNames: viewList,
     wipeDirections,
     setWipeDirection: (v) => { wipeDirection = v; },
+    setFov: (v) => { baseFov = v; },
+    getFov: () => baseFov,
+    setFocusOffset: (v) => { focusOffset = v; },
     sway: {
       get enabled() { return swayEnabled; },
       set enabled(v) { swayEnabled = v; },
+      get azimuthAmount() { return swayAzimuth; },
+      set azimuthAmount(v) { swayAzimuth = v; },
+      get elevationAmount() { return swayElevation; },
+      set elevationAmount(v) { swayElevation = v; },
+      get speed() { return swaySpeed; },
+      set speed(v) { swaySpeed = v; },
     },
   });
 
-  // --- Aesthetic contexts (scroll to switch) ---
-  const C = THREE.Color, V = THREE.Vector3;
-  const contexts = [
-    { // 1 — Light oak shelf, warm white plaster wall, matte black brackets
-      name: 'Scandinavian',
-      plankTex: 'oak_veneer_01', wallTex: 'white_plaster_02',
-      background: new C(0xf0ebe3),
-      wall: new C(0xf0ebe3), wallRoughness: 0.95, wallMetalness: 0.0,
-      plank: new C(0xc8a87c),
-      plankRoughness: 0.65, plankMetalness: 0.0, plankClearcoat: 0.15,
-      bracket: new C(0x222222), bracketRoughness: 0.4, bracketMetalness: 0.85,
-      ambientIntensity: 0.4, ambientColor: new C(0xffffff),
-      keyIntensity: 2.2, keyColor: new C(0xfff5e6), keyPos: new V(3, 4, 2),
-      fillIntensity: 0.8, fillColor: new C(0x8899bb),
-      rimIntensity: 1.2, rimColor: new C(0xffddaa),
-      exposure: 1.1, envRotation: 0,
-    },
-    { // 2 — Polished white marble shelf, light grey wall, chrome brackets
-      name: 'Marble',
-      plankTex: 'marble_01', wallTex: 'grey_plaster_03',
-      background: new C(0xe8eaef),
-      wall: new C(0xe0e3e8), wallRoughness: 0.3, wallMetalness: 0.0,
-      plank: new C(0xf2f2f8),
-      plankRoughness: 0.08, plankMetalness: 0.0, plankClearcoat: 0.7, plankClearcoatRoughness: 0.15,
-      bracket: new C(0xcccccc), bracketRoughness: 0.15, bracketMetalness: 0.95,
-      ambientIntensity: 0.5, ambientColor: new C(0xeef0ff),
-      keyIntensity: 1.8, keyColor: new C(0xffffff), keyPos: new V(4, 3, 3),
-      fillIntensity: 0.7, fillColor: new C(0x99aacc),
-      rimIntensity: 0.8, rimColor: new C(0xddeeff),
-      exposure: 1.05, envRotation: Math.PI * 0.3,
-    },
-    { // 3 — Light concrete shelf, pale grey wall, brushed nickel brackets
-      name: 'Minimal',
-      plankTex: 'concrete_wall_003', wallTex: 'concrete_wall_003',
-      background: new C(0xd8d8d8),
-      wall: new C(0xd0d0d0), wallRoughness: 0.92, wallMetalness: 0.0,
-      plank: new C(0xc0c0c0),
-      plankRoughness: 0.95, plankMetalness: 0.0, plankClearcoat: 0.0,
-      bracket: new C(0x999999), bracketRoughness: 0.35, bracketMetalness: 0.8,
-      ambientIntensity: 0.45, ambientColor: new C(0xeeeeff),
-      keyIntensity: 1.8, keyColor: new C(0xffffff), keyPos: new V(2, 5, 3),
-      fillIntensity: 0.9, fillColor: new C(0xbbccdd),
-      rimIntensity: 0.6, rimColor: new C(0xddddee),
-      exposure: 1.1, envRotation: Math.PI * 0.6,
-    },
-    { // 4 — Rich walnut shelf, warm linen wall, brushed brass brackets
-      name: 'Walnut',
-      plankTex: 'walnut_veneer', wallTex: 'white_plaster_02',
-      background: new C(0xe8e0d4),
-      wall: new C(0xe4dcd0), wallRoughness: 0.88, wallMetalness: 0.0,
-      plank: new C(0x5a3a22),
-      plankRoughness: 0.5, plankMetalness: 0.0, plankClearcoat: 0.4,
-      bracket: new C(0xb89860), bracketRoughness: 0.4, bracketMetalness: 0.8,
-      ambientIntensity: 0.35, ambientColor: new C(0xfff8ee),
-      keyIntensity: 2.0, keyColor: new C(0xfff0dd), keyPos: new V(3, 4, 2),
-      fillIntensity: 0.6, fillColor: new C(0xbbaa88),
-      rimIntensity: 1.0, rimColor: new C(0xeeddbb),
-      exposure: 1.05, envRotation: Math.PI * 0.9,
-    },
-    { // 5 — Brushed stainless shelf, soft white wall, matching steel brackets
-      name: 'Steel',
-      plankTex: 'metal_plate', wallTex: 'grey_plaster_03',
-      background: new C(0xe8e8ec),
-      wall: new C(0xe0e0e5), wallRoughness: 0.6, wallMetalness: 0.0,
-      plank: new C(0xb0b0b8),
-      plankRoughness: 0.3, plankMetalness: 0.9, plankClearcoat: 0.1,
-      bracket: new C(0x888890), bracketRoughness: 0.25, bracketMetalness: 0.92,
-      ambientIntensity: 0.4, ambientColor: new C(0xeeeeff),
-      keyIntensity: 2.0, keyColor: new C(0xffffff), keyPos: new V(3, 5, 1),
-      fillIntensity: 0.6, fillColor: new C(0x99aabb),
-      rimIntensity: 1.2, rimColor: new C(0xccddee),
-      exposure: 1.15, envRotation: Math.PI * 1.2,
-    },
-    { // 6 — Warm terracotta shelf, cream stucco wall, dark bronze brackets
-      name: 'Terracotta',
-      plankTex: 'concrete_wall_003', wallTex: 'white_plaster_02',
-      background: new C(0xece0d0),
-      wall: new C(0xe8dcc8), wallRoughness: 0.9, wallMetalness: 0.0,
-      plank: new C(0xc08060),
-      plankRoughness: 0.85, plankMetalness: 0.0, plankClearcoat: 0.0,
-      bracket: new C(0x4a3828), bracketRoughness: 0.5, bracketMetalness: 0.75,
-      ambientIntensity: 0.4, ambientColor: new C(0xfff0dd),
-      keyIntensity: 2.0, keyColor: new C(0xffeecc), keyPos: new V(4, 4, 2),
-      fillIntensity: 0.6, fillColor: new C(0xccaa88),
-      rimIntensity: 0.8, rimColor: new C(0xffddbb),
-      exposure: 1.05, envRotation: Math.PI * 1.5,
-    },
-    { // 7 — Glossy black lacquer shelf, dark charcoal wall, gold brackets
-      name: 'Noir',
-      plankTex: 'dark_wood', wallTex: 'grey_plaster_03',
-      background: new C(0x1a1a1a),
-      wall: new C(0x151515), wallRoughness: 0.4, wallMetalness: 0.0,
-      plank: new C(0x0e0e0e),
-      plankRoughness: 0.05, plankMetalness: 0.0, plankClearcoat: 0.95, plankClearcoatRoughness: 0.1,
-      bracket: new C(0xc8a050), bracketRoughness: 0.2, bracketMetalness: 0.95,
-      ambientIntensity: 0.15, ambientColor: new C(0xffffff),
-      keyIntensity: 2.8, keyColor: new C(0xfff0dd), keyPos: new V(4, 5, 1),
-      fillIntensity: 0.2, fillColor: new C(0x333333),
-      rimIntensity: 2.0, rimColor: new C(0xddaa44),
-      exposure: 1.3, envRotation: Math.PI * 0.5,
-    },
-    { // 8 — White ceramic shelf, soft sage wall, copper brackets
-      name: 'Sage',
-      plankTex: 'marble_01', wallTex: 'white_plaster_02',
-      background: new C(0xd8ddd4),
-      wall: new C(0xd0d8cc), wallRoughness: 0.85, wallMetalness: 0.0,
-      plank: new C(0xf0efea),
-      plankRoughness: 0.2, plankMetalness: 0.0, plankClearcoat: 0.5, plankClearcoatRoughness: 0.25,
-      bracket: new C(0xcc7744), bracketRoughness: 0.35, bracketMetalness: 0.88,
-      ambientIntensity: 0.45, ambientColor: new C(0xf0f5ee),
-      keyIntensity: 1.8, keyColor: new C(0xffffff), keyPos: new V(2, 4, 3),
-      fillIntensity: 0.7, fillColor: new C(0x99aa88),
-      rimIntensity: 0.9, rimColor: new C(0xffcc99),
-      exposure: 1.1, envRotation: Math.PI * 1.8,
-    },
-    { // 9 — Light ash wood shelf, soft blush wall, rose gold brackets
-      name: 'Blush',
-      plankTex: 'oak_veneer_01', wallTex: 'white_plaster_02',
-      background: new C(0xf0e0dd),
-      wall: new C(0xecdad6), wallRoughness: 0.85, wallMetalness: 0.0,
-      plank: new C(0xe0cbb5),
-      plankRoughness: 0.6, plankMetalness: 0.0, plankClearcoat: 0.2,
-      bracket: new C(0xcc9988), bracketRoughness: 0.3, bracketMetalness: 0.85,
-      ambientIntensity: 0.45, ambientColor: new C(0xfff0ee),
-      keyIntensity: 1.8, keyColor: new C(0xffeedd), keyPos: new V(3, 4, 2),
-      fillIntensity: 0.7, fillColor: new C(0xddaaaa),
-      rimIntensity: 0.9, rimColor: new C(0xffccbb),
-      exposure: 1.1, envRotation: Math.PI * 0.7,
-    },
-    { // 10 — Smoked oak shelf, warm greige wall, oxidized brass brackets
-      name: 'Gallery',
-      plankTex: 'dark_wood', wallTex: 'grey_plaster_03',
-      background: new C(0xe0dcd5),
-      wall: new C(0xdad6ce), wallRoughness: 0.8, wallMetalness: 0.0,
-      plank: new C(0x7a6a55),
-      plankRoughness: 0.55, plankMetalness: 0.0, plankClearcoat: 0.3,
-      bracket: new C(0x887755), bracketRoughness: 0.55, bracketMetalness: 0.7,
-      ambientIntensity: 0.4, ambientColor: new C(0xfff5ee),
-      keyIntensity: 1.8, keyColor: new C(0xfff8ee), keyPos: new V(3, 4, 2),
-      fillIntensity: 0.6, fillColor: new C(0xbbaa88),
-      rimIntensity: 0.8, rimColor: new C(0xddccaa),
-      exposure: 1.05, envRotation: Math.PI * 1.1,
-    },
-  ];
-
-  // --- Preload PBR textures from Polyhaven ---
-  const textureNames = [...new Set(
-    contexts.flatMap((ctx) => [ctx.plankTex, ctx.wallTex])
-  )];
-
-  progressText.textContent = 'loading textures...';
-
-  const texLoader = new THREE.TextureLoader();
-  function loadTex(url) {
-    return new Promise((resolve, reject) => {
-      texLoader.load(url, resolve, undefined, reject);
-    });
-  }
-
-  const PLANK_REPEAT = new THREE.Vector2(4, 2);
-  const WALL_REPEAT = new THREE.Vector2(12, 12);
-
-  // Build separate texture sets for plank and wall so repeat values don't conflict
-  // when the same texture name is used for both surfaces (e.g. concrete_wall_003)
-  const plankTextures = {}; // { name: { diff, norm } }
-  const wallTextures = {};  // { name: { diff, norm } }
-  const rawCache = {};      // shared download cache
-
-  let texLoaded = 0;
-  await Promise.all(textureNames.map(async (name) => {
-    const base = `https://dl.polyhaven.org/file/ph-assets/Textures/jpg/1k/${name}/${name}`;
-    const [diff, norm] = await Promise.all([
-      loadTex(`${base}_diff_1k.jpg`),
-      loadTex(`${base}_nor_gl_1k.jpg`),
-    ]);
-    rawCache[name] = { diff, norm };
-    texLoaded++;
-    progressText.textContent = `loading textures... ${texLoaded}/${textureNames.length}`;
-  }));
-
-  function prepareTexSet(raw, repeat) {
-    function configure(tex, isSRGB) {
-      tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-      tex.colorSpace = isSRGB ? THREE.SRGBColorSpace : THREE.LinearSRGBColorSpace;
-      tex.repeat.copy(repeat);
-      return tex;
-    }
-    return {
-      diff: configure(raw.diff.clone(), true),
-      norm: configure(raw.norm.clone(), false),
-    };
-  }
-
-  textureNames.forEach((name) => {
-    plankTextures[name] = prepareTexSet(rawCache[name], PLANK_REPEAT);
-    wallTextures[name] = prepareTexSet(rawCache[name], WALL_REPEAT);
+  // --- Preload PBR textures (local assets/, then Polyhaven) ---
+  const texLoader = createBlobTextureLoader();
+  // A missing map resolves to null; the surface then falls back to its flat context color
+  const contextTextures = await loadContextTextures(textureNames, (name, map, label) => {
+    const id = `${name}:${map}`;
+    return assets.load(texLoader, assetSources.texture(name, map), label, loadProgress.onProgress(id))
+      .finally(() => { loadProgress.done(id); });
   });
 
   let contextIndex = 0;
@@ -1297,47 +1366,24 @@ async function init() {
   let wipeProgress = 0; // 0 = all old, 1 = all new
 
   function applyContextNow(ctx) {
-    scene.background.copy(ctx.background);
-
-    // Wall textures
-    const wt = wallTextures[ctx.wallTex];
-    wallMat.map = wt?.diff || null;
-    wallMat.normalMap = wt?.norm || null;
-    wallMat.normalScale.set(0.5, 0.5);
-    wallMat.color.copy(ctx.wall);
-    wallMat.roughness = ctx.wallRoughness ?? 0.95;
-    wallMat.metalness = ctx.wallMetalness ?? 0.0;
-    wallMat.needsUpdate = true;
-
-    // Plank textures
-    const pt = plankTextures[ctx.plankTex];
-    woodMat.map = pt?.diff || null;
-    woodMat.normalMap = pt?.norm || null;
-    woodMat.normalScale.set(0.8, 0.8);
-    woodMat.color.copy(ctx.plank);
-    woodMat.roughness = ctx.plankRoughness;
-    woodMat.metalness = ctx.plankMetalness ?? 0.0;
-    woodMat.clearcoat = ctx.plankClearcoat ?? 0.15;
-    woodMat.clearcoatRoughness = ctx.plankClearcoatRoughness ?? 0.4;
-    woodMat.needsUpdate = true;
-
-    bracketMat.color.copy(ctx.bracket);
-    bracketMat.roughness = ctx.bracketRoughness ?? 0.4;
-    bracketMat.metalness = ctx.bracketMetalness ?? 0.85;
-    ambient.intensity = ctx.ambientIntensity;
-    ambient.color.copy(ctx.ambientColor);
-    keyLight.intensity = ctx.keyIntensity;
-    keyLight.color.copy(ctx.keyColor);
-    keyLight.position.copy(ctx.keyPos);
-    fillLight.intensity = ctx.fillIntensity;
-    fillLight.color.copy(ctx.fillColor);
-    rimLight.intensity = ctx.rimIntensity;
-    rimLight.color.copy(ctx.rimColor);
-    renderer.toneMappingExposure = ctx.exposure;
-    // Rotate HDRI environment per context for unique reflections
-    if (ctx.envRotation !== undefined) {
-      scene.environmentRotation = new THREE.Euler(0, ctx.envRotation, 0);
-    }
+    applyContext(stage, renderer, ctx, contextTextures);
+    applyLightOverrides();
+  }
+
+  function applyLightOverrides() {
+    const o = lightOverrides;
+    if (o.ambientIntensity !== undefined) ambient.intensity = o.ambientIntensity;
+    if (o.ambientColor) ambient.color.set(o.ambientColor);
+    if (o.keyIntensity !== undefined) keyLight.intensity = o.keyIntensity;
+    if (o.keyColor) keyLight.color.set(o.keyColor);
+    if (o.keyPos) keyLight.position.copy(o.keyPos);
+    if (o.fillIntensity !== undefined) fillLight.intensity = o.fillIntensity;
+    if (o.fillColor) fillLight.color.set(o.fillColor);
+    if (o.fillPos) fillLight.position.copy(o.fillPos);
+    if (o.rimIntensity !== undefined) rimLight.intensity = o.rimIntensity;
+    if (o.rimColor) rimLight.color.set(o.rimColor);
+    if (o.rimPos) rimLight.position.copy(o.rimPos);
+    if (o.exposure !== undefined) renderer.toneMappingExposure = o.exposure;
   }
 
   // --- Curtain wipe setup ---
@@ -1402,6 +1448,7 @@ async function init() {
 
   renderer.domElement.addEventListener('wheel', (e) => {
     e.preventDefault();
+    if (e.ctrlKey || e.metaKey) return; // zoom gesture, see pointer input
     const delta = e.deltaY / SCROLL_PER_CONTEXT;
     scrollPosition = Math.max(0, Math.min(contexts.length - 1, scrollPosition + delta));
   }, { passive: false });
@@ -1428,64 +1475,192 @@ async function init() {
     if (label) label.textContent = contexts[activeIdx].name;
   }
 
-  // Update wipe render targets on resize
+  // Resize every size-dependent piece; the recorder renders off-window sizes at pixel ratio 1
+  function setRenderSize(w, h, pixelRatio = window.devicePixelRatio) {
+    viewport.width = w;
+    viewport.height = h;
+    const a = w / h;
+    // Update both cameras
+    orthoCamera.left = -frustumSize * a / 2;
+    orthoCamera.right = frustumSize * a / 2;
+    orthoCamera.top = frustumSize / 2;
+    orthoCamera.bottom = -frustumSize / 2;
+    orthoCamera.updateProjectionMatrix();
+    perspCamera.aspect = a;
+    perspCamera.updateProjectionMatrix();
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(w, h, false); // CSS keeps the canvas filling the window
+    composer.setPixelRatio(pixelRatio);
+    composer.setSize(w, h);
+    ssaoPass.setSize(w, h);
+    bokehPass.renderTargetDepth.setSize(w, h);
+    rtA.setSize(w, h);
+    rtB.setSize(w, h);
+    flarePass.uniforms.uResolution.value.set(w, h);
+  }
+
   window.addEventListener('resize', () => {
-    rtA.setSize(window.innerWidth, window.innerHeight);
-    rtB.setSize(window.innerWidth, window.innerHeight);
-    flarePass.uniforms.uResolution.value.set(window.innerWidth, window.innerHeight);
+    if (recorder.busy) return; // picked up when the recording restores the window size
+    setRenderSize(window.innerWidth, window.innerHeight);
   });
 
+  // --- Deep link (URL hash ⇄ viewer state) ---
+  function getViewerState() {
+    // Don't record mid-wipe scroll positions
+    if (scrollPosition !== Math.round(scrollPosition)) return null;
+    // Grouped toggles are recorded by group id, individual ones by node name
+    const hidden = toggleMap.groups.flatMap((g) => {
+      if (g.together) return g.members[0].visible ? [] : [g.id];
+      return g.members.filter((p) => !p.visible).map((p) => p.name);
+    });
+    const view = viewList[viewIndex];
+    const onPreset = Math.abs(targetAzimuth - VIEW_ANGLES[view]) < 1e-3 &&
+      Math.abs(targetElevation - viewElevation(view)) < 1e-3;
+    return {
+      ctx: scrollPosition,
+      view,
+      // Dragged away from the preset: record the free angles too
+      orbit: onPreset ? null : [targetAzimuth, targetElevation],
+      projection: cameraType,
+      zoom: FRUSTUM_DEFAULT / targetFrustum,
+      target: orbitGoal.distanceTo(defaultOrbitTarget) < 1e-3 ? null : orbitGoal.toArray(),
+      explode: explodeGoal > 0.5,
+      hidden,
+      tags: hotspotInstances.filter((h) => h.open).map((h) => h.data.id),
+      panelColor: panelColor === PANEL_COLOR_DEFAULT ? null : panelColor,
+      config: configurator.customized,
+    };
+  }
+
+  function applyViewerState(state, { initial }) {
+    scrollPosition = Math.max(0, Math.min(contexts.length - 1, state.ctx));
+    if (state.projection !== cameraType) switchCamera(state.projection);
+    if (VIEW_ANGLES[state.view] !== undefined) setView(state.view);
+    if (state.orbit) [targetAzimuth, targetElevation] = state.orbit;
+    setZoom(FRUSTUM_DEFAULT / state.zoom);
+    if (state.target) orbitGoal.fromArray(state.target);
+    else orbitGoal.copy(defaultOrbitTarget);
+    explodeGoal = state.explode ? 1 : 0;
+
+    toggleMap.groups.forEach((g) => {
+      g.members.forEach((p) => {
+        p.visible = !state.hidden.includes(g.together ? g.id : p.name);
+      });
+    });
+
+    hotspotInstances.forEach((inst) => {
+      inst.open = state.tags.includes(inst.data.id);
+      inst.tagEl.classList.toggle('visible', inst.open);
+    });
+
+    panelColor = state.panelColor || PANEL_COLOR_DEFAULT;
+    applyPanelColor();
+    configurator.setCustomized(state.config).catch((err) => {
+      devPanel.report('Configurator', [`link configuration: ${err.message}`]);
+    });
+
+    // A shared link should open on the final framing, not animate into it
+    if (initial) {
+      currentAzimuth = targetAzimuth;
+      currentElevation = targetElevation;
+      frustumSize = targetFrustum;
+      orbitTarget.copy(orbitGoal);
+      explodeT = explodeGoal;
+    }
+  }
+
+  const deepLink = createDeepLink({ getState: getViewerState, applyState: applyViewerState });
+  deepLink.applyInitial();
+
   // --- Fade out loader ---
-  overlay.classList.add('loaded');
-  setTimeout(() => { overlay.style.display = 'none'; }, 600);
+  // Hold the overlay a moment when something is missing so the list can be read
+  const missingCount = assets.missing.length;
+  loadProgress.finish(missingCount ? `${missingCount} asset${missingCount > 1 ? 's' : ''} unavailable — using fallbacks` : 'ready');
+  setTimeout(() => {
+    overlay.classList.add('loaded');
+    setTimeout(() => { overlay.style.display = 'none'; }, 600);
+  }, missingCount ? 2500 : 0);
 
   // --- Render loop ---
-  function animate() {
-    requestAnimationFrame(animate);
-    const now = performance.now() * 0.001;
-    filmPass.uniforms.uTime.value = now;
+  // One update + render at `time` (seconds), advancing animation by dt. The
+  // live loop passes the wall clock; the recorder passes its fixed timestep.
+  function renderFrame(time, dt) {
+    filmPass.uniforms.uTime.value = time;
 
     // Idle camera sway — gentle handheld feel (non-accumulating orbit offset)
     if (swayEnabled) {
-      swayAzOffset = Math.sin(now * swaySpeed) * swayAzimuth;
-      swayElOffset = Math.sin(now * swaySpeed * 0.7 + 1.0) * swayElevation;
+      swayAzOffset = Math.sin(time * swaySpeed) * swayAzimuth;
+      swayElOffset = Math.sin(time * swaySpeed * 0.7 + 1.0) * swayElevation;
     } else {
       swayAzOffset = 0;
       swayElOffset = 0;
     }
 
-    updateCamera();
-    updateExplode();
+    flythrough.update(dt);
+    pointerInput.update(dt);
+    updateCamera(dt);
+    updateExplode(dt);
     updateHotspotPositions();
-
-    const fromIdx = Math.floor(scrollPosition);
-    const toIdx = Math.min(fromIdx + 1, contexts.length - 1);
-    const t = scrollPosition - fromIdx; // 0–1 fractional between two contexts
+    measure.update(camera);
+    annotations.update(camera);
+    section.update();
+    partsTree.syncVisibility();
+    deepLink.update();
+
+    let fromIdx = Math.floor(scrollPosition);
+    let toIdx = Math.min(fromIdx + 1, contexts.length - 1);
+    let t = scrollPosition - fromIdx; // 0–1 fractional between two contexts
+    if (wipeOverride) {
+      ({ from: fromIdx, to: toIdx, t } = wipeOverride);
+      if (t > 0.999) fromIdx = toIdx;
+    }
 
     // Update dots to show nearest context
     updateDots(Math.round(scrollPosition));
 
     if (t > 0.001 && fromIdx !== toIdx) {
       // Mid-transition: render both contexts, composite with curtain
-      applyContextNow(contexts[fromIdx]);
-      renderer.setRenderTarget(rtA);
-      renderer.render(scene, camera);
-
-      applyContextNow(contexts[toIdx]);
-      renderer.setRenderTarget(rtB);
-      renderer.render(scene, camera);
-
-      wipeMaterial.uniforms.tA.value = rtA.texture;
-      wipeMaterial.uniforms.tB.value = rtB.texture;
-      wipeMaterial.uniforms.progress.value = t;
-      wipeMaterial.uniforms.direction.value = wipeDirection;
-      renderer.setRenderTarget(null);
-      renderer.render(wipeScene, wipeCamera);
+      const renderWipe = () => {
+        applyContextNow(contexts[fromIdx]);
+        renderer.setRenderTarget(rtA);
+        renderer.render(scene, camera);
+
+        applyContextNow(contexts[toIdx]);
+        renderer.setRenderTarget(rtB);
+        renderer.render(scene, camera);
+
+        wipeMaterial.uniforms.tA.value = rtA.texture;
+        wipeMaterial.uniforms.tB.value = rtB.texture;
+        wipeMaterial.uniforms.progress.value = t;
+        wipeMaterial.uniforms.direction.value = wipeDirection;
+        renderer.setRenderTarget(null);
+        renderer.render(wipeScene, wipeCamera);
+      };
+      // Swipe compare: a whole wipe per side, so the revisions never overlap
+      if (compare.splitting) compare.renderSplit(renderWipe);
+      else renderWipe();
     } else {
       // Settled on a context — use full post-processing
       applyContextNow(contexts[fromIdx]);
-      composer.render();
+      if (compare.splitting) compare.renderSplit(() => { composer.render(); });
+      else composer.render();
+    }
+  }
+
+  let lastFrameTime = performance.now() * 0.001;
+  function animate() {
+    requestAnimationFrame(animate);
+    const now = performance.now() * 0.001;
+    const dt = Math.min(now - lastFrameTime, 0.1); // don't jump after a background tab
+    lastFrameTime = now;
+    // While recording, the recorder steps renderFrame() itself
+    if (recorder.busy) return;
+
+    if (kiosk && !flythrough.playing && now - lastInteraction > KIOSK_IDLE) {
+      lastInteraction = now; // with no bookmarks saved, look again after the next idle spell
+      flythrough.play(loadBookmarks(), { loop: true });
     }
+    renderFrame(now, dt);
   }
   animate();
 }
@@ -1494,4 +1669,10 @@ init().catch((err) => {
   console.error('Viewer init failed:', err);
   const text = document.getElementById('loading-text');
   if (text) text.textContent = 'failed to load — ' + err.message;
+  // Nothing to salvage mid-init; retry starts over
+  const actions = document.getElementById('loading-actions');
+  if (!actions) return;
+  actions.querySelector('[data-action="placeholder"]').hidden = true;
+  actions.querySelector('[data-action="retry"]').onclick = () => { location.reload(); };
+  actions.classList.remove('hidden');
 });
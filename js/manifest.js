@@ -0,0 +1,308 @@
+// Per-model manifest: a JSON file next to the GLB describing the build
+// (hotspots, toggle groups, explode sequence, assembly guide, ...). Both quality levels of a model share one manifest:
+//   models/ANGL-ASM-MAIN_REV-G_FULL_optimized.glb → models/ANGL-ASM-MAIN_REV-G_FULL.manifest.json
+
+export const MANIFEST_VERSION = 1;
+
+export function manifestUrlFor(modelPath) {
+  return modelPath.replace(/(_optimized)?\.glb$/i, '.manifest.json');
+}
+
+// --- Name matching ---
+// A matcher is either a plain string (exact name, then substring fallback)
+// or { type: 'exact' | 'includes' | 'regex', value, flags? }.
+const MATCH_TYPES = ['exact', 'includes', 'regex'];
+
+function matcherTest(matcher) {
+  if (matcher.type === 'exact') return (name) => name === matcher.value;
+  if (matcher.type === 'includes') return (name) => name.includes(matcher.value);
+  const re = new RegExp(matcher.value, matcher.flags || '');
+  return (name) => re.test(name);
+}
+
+export function matchName(name, matcher) {
+  if (!name) return false;
+  if (typeof matcher === 'string') return name === matcher || name.includes(matcher);
+  return matcherTest(matcher)(name);
+}
+
+// `matchers` may be a single matcher or a list; an absent list matches nothing
+export function matchesAny(name, matchers) {
+  if (matchers === undefined) return false;
+  return (Array.isArray(matchers) ? matchers : [matchers]).some((m) => matchName(name, m));
+}
+
+// First object under root matching, in traversal order. String matchers prefer
+// an exact hit anywhere in the tree over an earlier substring hit.
+export function findByMatcher(root, matcher) {
+  const passes = typeof matcher === 'string'
+    ? [(n) => n === matcher, (n) => n.includes(matcher)]
+    : [matcherTest(matcher)];
+  for (const test of passes) {
+    let found = null;
+    root.traverse((child) => {
+      if (!found && child.name && test(child.name)) found = child;
+    });
+    if (found) return found;
+  }
+  return null;
+}
+
+// Every object under root matching (for group-style definitions)
+export function findAllByMatcher(root, matcher) {
+  const test = typeof matcher === 'string' ? (n) => n === matcher || n.includes(matcher) : matcherTest(matcher);
+  const found = [];
+  root.traverse((child) => { if (child.name && test(child.name)) found.push(child); });
+  return found;
+}
+
+export function describeMatcher(matcher) {
+  if (typeof matcher === 'string') return `"${matcher}"`;
+  return matcher.type === 'regex' ? `/${matcher.value}/${matcher.flags || ''}` : `${matcher.type} "${matcher.value}"`;
+}
+
+// --- Localisation ---
+// Text fields are a plain string or { en: '...', sv: '...' }
+export function localize(value, locales = navigator.languages || [navigator.language]) {
+  if (value == null || typeof value === 'string') return value ?? '';
+  for (const loc of locales) {
+    if (value[loc]) return value[loc];
+    const short = loc.split('-')[0];
+    if (value[short]) return value[short];
+  }
+  return value.en ?? Object.values(value)[0] ?? '';
+}
+
+// --- Schema check ---
+function isText(v) {
+  return typeof v === 'string' || (v && typeof v === 'object' && !Array.isArray(v) &&
+    Object.values(v).every((s) => typeof s === 'string'));
+}
+
+export function checkMatcher(m, path, errors) {
+  if (typeof m === 'string') {
+    if (!m) errors.push(`${path}: must not be empty`);
+    return;
+  }
+  if (!m || typeof m !== 'object' || !MATCH_TYPES.includes(m.type) || typeof m.value !== 'string') {
+    errors.push(`${path}: expected a string or { type: ${MATCH_TYPES.join('|')}, value }`);
+    return;
+  }
+  if (m.type === 'regex') {
+    try { new RegExp(m.value, m.flags || ''); } catch (err) { errors.push(`${path}: ${err.message}`); }
+  }
+}
+
+function checkHotspot(hs, path, errors, ids) {
+  if (!hs || typeof hs !== 'object') { errors.push(`${path}: expected an object`); return; }
+  if (typeof hs.id !== 'string' || !hs.id) errors.push(`${path}.id: required string`);
+  else if (ids.has(hs.id)) errors.push(`${path}.id: duplicate "${hs.id}"`);
+  else ids.add(hs.id);
+  checkMatcher(hs.match, `${path}.match`, errors);
+  if (!isText(hs.title)) errors.push(`${path}.title: expected a string or { locale: string }`);
+  if (hs.desc !== undefined && !isText(hs.desc)) errors.push(`${path}.desc: expected a string or { locale: string }`);
+  if (hs.offset !== undefined && !(Array.isArray(hs.offset) && hs.offset.length === 3 && hs.offset.every(Number.isFinite))) {
+    errors.push(`${path}.offset: expected [x, y, z]`);
+  }
+  if (hs.details !== undefined) checkDetails(hs.details, `${path}.details`, errors);
+}
+
+function checkMatcherList(list, path, errors) {
+  if (Array.isArray(list)) {
+    if (list.length === 0) errors.push(`${path}: must not be empty`);
+    list.forEach((m, i) => checkMatcher(m, `${path}[${i}]`, errors));
+  } else {
+    checkMatcher(list, path, errors);
+  }
+}
+
+// { id, label, match, exclude?, together?, colorable? }
+function checkToggleGroup(g, path, errors, ids) {
+  if (!g || typeof g !== 'object') { errors.push(`${path}: expected an object`); return; }
+  if (typeof g.id !== 'string' || !g.id) errors.push(`${path}.id: required string`);
+  else if (ids.has(g.id)) errors.push(`${path}.id: duplicate "${g.id}"`);
+  else ids.add(g.id);
+  if (!isText(g.label)) errors.push(`${path}.label: expected text`);
+  checkMatcherList(g.match, `${path}.match`, errors);
+  if (g.exclude !== undefined) checkMatcherList(g.exclude, `${path}.exclude`, errors);
+  ['together', 'colorable'].forEach((k) => {
+    if (g[k] !== undefined && typeof g[k] !== 'boolean') errors.push(`${path}.${k}: expected true or false`);
+  });
+}
+
+// Returns the keys it rejected
+function checkWindow(w, path, errors) {
+  const bad = ['start', 'end'].filter((k) => w[k] !== undefined && !(Number.isFinite(w[k]) && w[k] >= 0 && w[k] <= 1));
+  bad.forEach((k) => errors.push(`${path}.${k}: expected a number in 0–1`));
+  if (!bad.length && w.start !== undefined && w.end !== undefined && w.start >= w.end) {
+    errors.push(`${path}: start must be before end`);
+    return ['start', 'end'];
+  }
+  return bad;
+}
+
+function checkExplodeStep(step, path, errors, ids) {
+  if (!step || typeof step !== 'object') { errors.push(`${path}: expected an object`); return; }
+  if (step.id !== undefined) {
+    if (ids.has(step.id)) errors.push(`${path}.id: duplicate "${step.id}"`);
+    ids.add(step.id);
+  }
+  if (step.group === undefined && step.match === undefined) errors.push(`${path}: needs a group or a match`);
+  if (step.group !== undefined && typeof step.group !== 'string') errors.push(`${path}.group: expected a toggle group id`);
+  if (step.match !== undefined) checkMatcherList(step.match, `${path}.match`, errors);
+  if (step.axis !== undefined && step.axis !== 'radial' &&
+      !(Array.isArray(step.axis) && step.axis.length === 3 && step.axis.every(Number.isFinite))) {
+    errors.push(`${path}.axis: expected [x, y, z] or "radial"`);
+  }
+  if (step.distance !== undefined && !Number.isFinite(step.distance)) errors.push(`${path}.distance: expected a number`);
+  checkWindow(step, path, errors);
+}
+
+// Validates the explode block; returns a copy holding only valid settings and
+// steps, so rejected ones fall back to the defaults
+function checkExplode(ex, errors) {
+  if (ex === undefined) return undefined;
+  if (!ex || typeof ex !== 'object') { errors.push('explode: expected an object'); return undefined; }
+  const out = { ...ex };
+  ['distance', 'duration'].forEach((k) => {
+    if (ex[k] !== undefined && !(Number.isFinite(ex[k]) && ex[k] > 0)) {
+      errors.push(`explode.${k}: expected a positive number`);
+      delete out[k];
+    }
+  });
+  if (ex.rest !== undefined) {
+    if (ex.rest && typeof ex.rest === 'object') {
+      out.rest = { ...ex.rest };
+      checkWindow(ex.rest, 'explode.rest', errors).forEach((k) => { delete out.rest[k]; });
+    } else {
+      errors.push('explode.rest: expected an object');
+      delete out.rest;
+    }
+  }
+  out.sequence = validEntries(ex.sequence, 'explode.sequence', checkExplodeStep, errors);
+  return out;
+}
+
+const GUIDE_VIEWS = ['Front', 'Right', 'Rear', 'Left', 'Isometric'];
+
+// { title, text?, view?, group?, match?, highlight?, hotspot? } — a step without
+// group or match moves nothing (an intro or "check your work" step)
+function checkGuideStep(step, path, errors) {
+  if (!step || typeof step !== 'object') { errors.push(`${path}: expected an object`); return; }
+  if (!isText(step.title)) errors.push(`${path}.title: expected text`);
+  if (step.text !== undefined && !isText(step.text)) errors.push(`${path}.text: expected text`);
+  if (step.view !== undefined && !GUIDE_VIEWS.includes(step.view)) {
+    errors.push(`${path}.view: expected one of ${GUIDE_VIEWS.join(', ')}`);
+  }
+  if (step.group !== undefined && typeof step.group !== 'string') errors.push(`${path}.group: expected a toggle group id`);
+  if (step.match !== undefined) checkMatcherList(step.match, `${path}.match`, errors);
+  if (step.highlight !== undefined && typeof step.highlight !== 'boolean') errors.push(`${path}.highlight: expected true or false`);
+  if (step.hotspot !== undefined && typeof step.hotspot !== 'string') errors.push(`${path}.hotspot: expected a hotspot id`);
+}
+
+function checkGuide(guide, errors) {
+  if (guide === undefined) return undefined;
+  if (!guide || typeof guide !== 'object') { errors.push('guide: expected an object'); return undefined; }
+  if (guide.direction !== undefined && !['assembly', 'disassembly'].includes(guide.direction)) {
+    errors.push('guide.direction: expected "assembly" or "disassembly"');
+  }
+  if (guide.stepDuration !== undefined && !(Number.isFinite(guide.stepDuration) && guide.stepDuration > 0)) {
+    errors.push('guide.stepDuration: expected a positive number');
+  }
+  return { ...guide, steps: validEntries(guide.steps, 'guide.steps', checkGuideStep, errors) };
+}
+
+function checkDetails(d, path, errors) {
+  if (!d || typeof d !== 'object') { errors.push(`${path}: expected an object`); return; }
+  if (d.description !== undefined && !isText(d.description)) errors.push(`${path}.description: expected text`);
+  if (d.specs === undefined) return;
+  if (!d.specs || typeof d.specs !== 'object') { errors.push(`${path}.specs: expected an object`); return; }
+  ['dimensions', 'weight', 'sku'].forEach((k) => {
+    if (d.specs[k] !== undefined && !isText(d.specs[k])) errors.push(`${path}.specs.${k}: expected text`);
+  });
+  const price = d.specs.price;
+  if (price !== undefined && !(price && Number.isFinite(price.amount) && typeof price.currency === 'string')) {
+    errors.push(`${path}.specs.price: expected { amount, currency }`);
+  }
+}
+
+// Configurator slot: { id, label, hotspot?, anchor?, default?, options: [option, ...] }
+// option: { id, label, match?, model?, details? } — `match` picks variant nodes in
+// the model, `model` a GLB sub-assembly swapped in at the anchor; with neither the
+// option keeps the default geometry. An option without details keeps the hotspot's.
+function checkSlotOption(o, path, errors, ids) {
+  if (!o || typeof o !== 'object') { errors.push(`${path}: expected an object`); return; }
+  if (typeof o.id !== 'string' || !o.id) errors.push(`${path}.id: required string`);
+  else if (ids.has(o.id)) errors.push(`${path}.id: duplicate "${o.id}"`);
+  else ids.add(o.id);
+  if (!isText(o.label)) errors.push(`${path}.label: expected text`);
+  if (o.match !== undefined) checkMatcherList(o.match, `${path}.match`, errors);
+  if (o.model !== undefined && !(typeof o.model === 'string' && /\.glb$/i.test(o.model))) {
+    errors.push(`${path}.model: expected a .glb path`);
+  }
+  if (o.match !== undefined && o.model !== undefined) errors.push(`${path}: use match or model, not both`);
+  if (o.details !== undefined) checkDetails(o.details, `${path}.details`, errors);
+}
+
+function checkSlot(slot, path, errors, ids) {
+  if (!slot || typeof slot !== 'object') { errors.push(`${path}: expected an object`); return; }
+  if (typeof slot.id !== 'string' || !slot.id) errors.push(`${path}.id: required string`);
+  else if (ids.has(slot.id)) errors.push(`${path}.id: duplicate "${slot.id}"`);
+  else ids.add(slot.id);
+  if (!isText(slot.label)) errors.push(`${path}.label: expected text`);
+  if (slot.hotspot !== undefined && typeof slot.hotspot !== 'string') errors.push(`${path}.hotspot: expected a hotspot id`);
+  if (slot.anchor !== undefined) checkMatcherList(slot.anchor, `${path}.anchor`, errors);
+  if (!Array.isArray(slot.options) || slot.options.length === 0) {
+    errors.push(`${path}.options: expected a non-empty array`);
+    return;
+  }
+  const optionIds = new Set();
+  slot.options.forEach((o, i) => checkSlotOption(o, `${path}.options[${i}]`, errors, optionIds));
+  if (slot.default !== undefined && !optionIds.has(slot.default)) errors.push(`${path}.default: no option "${slot.default}"`);
+  if (slot.anchor === undefined && slot.options.some((o) => o.model) && !slot.options.some((o) => o.match)) {
+    errors.push(`${path}: an option with a model needs an anchor (or a default option with a match)`);
+  }
+}
+
+// Returns a list of human-readable problems; invalid entries are dropped by loadManifest
+export function validateManifest(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') return ['manifest: expected an object'];
+  if (data.version !== MANIFEST_VERSION) errors.push(`version: expected ${MANIFEST_VERSION}, got ${data.version}`);
+  ['hotspots', 'toggleGroups', 'slots'].forEach((key) => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) errors.push(`${key}: expected an array`);
+  });
+  return errors;
+}
+
+function validEntries(list, key, check, errors) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list.filter((entry, i) => {
+    const before = errors.length;
+    check(entry, `${key}[${i}]`, errors, seen);
+    return errors.length === before;
+  });
+}
+
+// Never rejects: a missing or broken manifest yields empty sections plus errors
+export async function loadManifest(modelPath) {
+  const url = manifestUrlFor(modelPath);
+  const empty = { url, hotspots: [], toggleGroups: [], slots: [], errors: [] };
+  let data;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return { ...empty, errors: [`${url}: HTTP ${res.status}`] };
+    data = await res.json();
+  } catch (err) {
+    return { ...empty, errors: [`${url}: ${err.message}`] };
+  }
+  const errors = validateManifest(data);
+  if (!data || typeof data !== 'object') return { ...empty, errors };
+  const hotspots = validEntries(data.hotspots, 'hotspots', checkHotspot, errors);
+  const toggleGroups = validEntries(data.toggleGroups, 'toggleGroups', checkToggleGroup, errors);
+  const explode = checkExplode(data.explode, errors);
+  const guide = checkGuide(data.guide, errors);
+  const slots = validEntries(data.slots, 'slots', checkSlot, errors);
+  return { url, model: data.model, hotspots, toggleGroups, explode, guide, slots, errors };
+}
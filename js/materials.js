@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import { pathOf, nodeAtPath, findNode } from './nodepath.js';
+import { downloadJson, pickJsonFile } from './files.js';
+
+// Per-part materials. A finish is a named set of surface properties:
+//   { color, metalness, roughness, clearcoat, clearcoatRoughness, emissive, emissiveIntensity, normalScale }
+// An assignment points a part or toggle group at a finish, with per-property overrides:
+//   { target: 'node:<node path>' | 'group:<toggle group id>', name, finish: 'Brushed steel', overrides: { roughness: 0.4 } }
+// A node target is one node, by path (nodepath.js); `name` is that node's name,
+// the fallback when the path doesn't fit. Older files' 'part:<node name>' targets
+// take the first node of that name. Groups are the way to paint several parts.
+// Assignments are applied in order (later ones win where targets overlap) and
+// saved per model in localStorage; the model key is its manifest path, so both
+// qualities share them. User finishes are global and travel inside exported files.
+
+const STORAGE_PREFIX = 'angl-viewer:materials:';
+const FINISHES_KEY = 'angl-viewer:finishes';
+const FILE_VERSION = 1;
+
+export const FINISH_PROPS = ['color', 'metalness', 'roughness', 'clearcoat', 'clearcoatRoughness', 'emissive', 'emissiveIntensity', 'normalScale'];
+
+const BASE_FINISH = {
+  color: '#ffffff', metalness: 0, roughness: 0.5, clearcoat: 0, clearcoatRoughness: 0,
+  emissive: '#000000', emissiveIntensity: 1, normalScale: 1,
+};
+
+export const FINISHES = {
+  'Anodized aluminium': { ...BASE_FINISH, color: '#aeb2b8', metalness: 0.85, roughness: 0.38, clearcoat: 0.3, clearcoatRoughness: 0.35 },
+  'Brushed steel': { ...BASE_FINISH, color: '#c6c5c2', metalness: 1, roughness: 0.3, normalScale: 1.5 },
+  'Matte black powder coat': { ...BASE_FINISH, color: '#1b1b1c', metalness: 0.05, roughness: 0.82, clearcoat: 0.05, clearcoatRoughness: 0.8 },
+  'Walnut veneer': { ...BASE_FINISH, color: '#5b3b26', roughness: 0.55, clearcoat: 0.5, clearcoatRoughness: 0.2 },
+};
+
+// --- User finishes (localStorage) ---
+export function loadUserFinishes() {
+  try {
+    const raw = localStorage.getItem(FINISHES_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (err) {
+    console.warn('Could not read user finishes:', err);
+    return {};
+  }
+}
+
+export function saveUserFinish(name, props) {
+  const all = loadUserFinishes();
+  all[name] = props;
+  localStorage.setItem(FINISHES_KEY, JSON.stringify(all));
+}
+
+// Built-in names can't be shadowed by user finishes
+export function listFinishes() {
+  return { ...loadUserFinishes(), ...FINISHES };
+}
+
+// Finish + overrides → full property set; unknown finishes fall back to the base
+export function resolveFinish({ finish, overrides }) {
+  return { ...BASE_FINISH, ...listFinishes()[finish], ...overrides };
+}
+
+// --- Assignments (localStorage, per model) ---
+export function loadAssignments(modelKey) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + modelKey);
+    return raw ? JSON.parse(raw) : [];
+  } catch (err) {
+    console.warn('Could not read material assignments:', err);
+    return [];
+  }
+}
+
+export function saveAssignments(modelKey, list) {
+  if (list.length) localStorage.setItem(STORAGE_PREFIX + modelKey, JSON.stringify(list));
+  else localStorage.removeItem(STORAGE_PREFIX + modelKey);
+}
+
+// --- JSON import / export ---
+export function exportAssignments(modelKey, list) {
+  const user = loadUserFinishes();
+  const finishes = {};
+  list.forEach((a) => { if (user[a.finish] && !FINISHES[a.finish]) finishes[a.finish] = user[a.finish]; });
+  const base = modelKey.split('/').pop().replace(/\.manifest\.json$/, '');
+  downloadJson({ version: FILE_VERSION, model: modelKey, finishes, assignments: list }, `angl-materials-${base.replace(/[^\w-]+/g, '_')}.json`);
+}
+
+function isAssignment(a) {
+  return typeof a?.target === 'string' && /^(node:[\d/]*|(part|group):.+)$/.test(a.target) && typeof a.finish === 'string' &&
+    (a.name === undefined || typeof a.name === 'string') &&
+    (a.overrides === undefined || (typeof a.overrides === 'object' && Object.keys(a.overrides).every((k) => FINISH_PROPS.includes(k))));
+}
+
+// Accepts an exported file ({ version, model, finishes, assignments }) or a bare list.
+// Finishes carried by the file are added to the user finishes.
+export function parseAssignmentsFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.assignments;
+  if (!Array.isArray(list) || !list.every(isAssignment)) {
+    throw new Error('not a materials file (expected { assignments: [{ target, finish }] })');
+  }
+  Object.entries(data.finishes ?? {}).forEach(([name, props]) => {
+    if (!FINISHES[name]) saveUserFinish(name, { ...BASE_FINISH, ...props });
+  });
+  return list.map((a) => ({ target: a.target, name: a.name, finish: a.finish, overrides: { ...a.overrides } }));
+}
+
+// Opens a file picker (pickJsonFile) and resolves with the parsed list, or null when dismissed
+export function importAssignmentsFile() {
+  return pickJsonFile(parseAssignmentsFile);
+}
+
+// --- Applying ---
+// Edited meshes get their own MeshPhysicalMaterial (clearcoat needs one); GLB
+// materials are usually shared, so editing one in place would repaint others.
+function toPhysical(material) {
+  if (material.isMeshPhysicalMaterial) return material.clone();
+  const physical = new THREE.MeshPhysicalMaterial();
+  if (material.isMeshStandardMaterial) {
+    THREE.MeshStandardMaterial.prototype.copy.call(physical, material);
+    physical.defines = { STANDARD: '', PHYSICAL: '' };
+  } else {
+    THREE.Material.prototype.copy.call(physical, material);
+    if (material.color) physical.color.copy(material.color);
+    physical.map = material.map ?? null;
+  }
+  return physical;
+}
+
+function applyFinish(material, original, props, finish) {
+  material.color.set(props.color);
+  material.metalness = props.metalness;
+  material.roughness = props.roughness;
+  material.clearcoat = props.clearcoat;
+  material.clearcoatRoughness = props.clearcoatRoughness;
+  material.emissiveIntensity = props.emissiveIntensity;
+  // Keeps the GLB's normal map orientation (glTF may flip y)
+  const sign = original.normalScale ?? { x: 1, y: 1 };
+  material.normalScale.set((Math.sign(sign.x) || 1) * props.normalScale, (Math.sign(sign.y) || 1) * props.normalScale);
+  // Hover / selection tints borrow the emissive channel and restore this afterwards
+  material.userData.emissive = new THREE.Color(props.emissive);
+  material.emissive.copy(material.userData.emissive);
+  material.userData.finish = finish;
+  material.needsUpdate = true;
+}
+
+// isolation: createIsolation() — edits land on the mesh's own material while it is ghosted
+// getGroups(): current toggle groups (toggles.js)
+// onRestore(meshes): meshes just handed back their shared material
+export function createPartMaterials({ isolation, getGroups, onRestore }) {
+  const originals = new Map(); // mesh → the material it had before its first edit
+  let root = null;
+  let modelKey = null;
+  let assignments = [];
+
+  function targetObjects({ target, name }) {
+    const id = target.slice(target.indexOf(':') + 1);
+    if (target.startsWith('group:')) return getGroups().find((g) => g.id === id)?.members ?? [];
+    const node = root && (target.startsWith('node:') ? findNode(root, { path: id, name }) : findNode(root, { name: id }));
+    return node ? [node] : [];
+  }
+
+  function apply() {
+    const wanted = new Map(); // mesh → assignment
+    assignments.forEach((a) => {
+      targetObjects(a).forEach((obj) => obj.traverse((c) => {
+        // Multi-material meshes keep their materials
+        if (c.isMesh && c.material && !Array.isArray(isolation.materialOf(c))) wanted.set(c, a);
+      }));
+    });
+    const restored = [];
+    originals.forEach((material, mesh) => {
+      if (wanted.has(mesh)) return;
+      isolation.materialOf(mesh).dispose();
+      isolation.setMaterialOf(mesh, material);
+      originals.delete(mesh);
+      restored.push(mesh);
+    });
+    wanted.forEach((a, mesh) => {
+      if (!originals.has(mesh)) {
+        originals.set(mesh, isolation.materialOf(mesh));
+        isolation.setMaterialOf(mesh, toPhysical(isolation.materialOf(mesh)));
+      }
+      applyFinish(isolation.materialOf(mesh), originals.get(mesh), resolveFinish(a), a.finish);
+    });
+    if (restored.length) onRestore?.(restored);
+  }
+
+  function commit() {
+    apply();
+    saveAssignments(modelKey, assignments);
+  }
+
+  const find = (target) => assignments.find((a) => a.target === target);
+
+  return {
+    get modelKey() { return modelKey; },
+    get assignments() { return assignments; },
+    // Load and apply the saved assignments of a freshly installed model
+    setModel(m, key) {
+      root = m;
+      modelKey = key;
+      originals.clear();
+      assignments = loadAssignments(key);
+      apply();
+    },
+    // Hand every shared material back, e.g. before the model is disposed
+    release() {
+      const saved = assignments;
+      assignments = [];
+      apply();
+      assignments = saved;
+    },
+    find,
+    // The node target of a part of the model, or null for anything outside it
+    targetOf(obj) {
+      const path = root && pathOf(root, obj);
+      return typeof path === 'string' ? `node:${path}` : null;
+    },
+    // Resolved properties of a target's finish, or null if it has none
+    propsOf(target) {
+      const a = find(target);
+      return a ? resolveFinish(a) : null;
+    },
+    assign(target, finish) {
+      assignments = assignments.filter((a) => a.target !== target);
+      const node = target.startsWith('node:') ? nodeAtPath(root, target.slice(5)) : null;
+      assignments.push({ target, name: node?.name, finish, overrides: {} });
+      commit();
+    },
+    override(target, prop, value) {
+      const a = find(target);
+      if (!a) return;
+      a.overrides[prop] = value;
+      commit();
+    },
+    clear(target) {
+      assignments = assignments.filter((a) => a.target !== target);
+      commit();
+    },
+    replace(list) {
+      assignments = list;
+      commit();
+    },
+  };
+}
@@ -0,0 +1,315 @@
+import * as THREE from 'three';
+import { isShown } from './nodepath.js';
+
+// Real-world sizes. prepareModel scales the model to ~1 scene unit and keeps the
+// factor in m.userData.modelScale (scene units per model unit). glTF model units
+// are metres, so a scene length L is L / modelScale * 1000 mm.
+// Drawn as an SVG overlay (like the hotspot tags), so post-processing never blurs
+// the lines and stills / recordings stay clean:
+//   dimensions — W × H × D of the assembled model's bounding box (the parts
+//                showing), on the box edges facing the camera
+//   measure    — click two points; they snap to feature-edge corners, then to
+//                feature edges, near the cursor, else stay on the surface hit.
+//                Points are kept on the mesh they were picked on, so they follow
+//                explode and turntable moves and hide with their part
+
+export const MM_PER_MODEL_UNIT = 1000;
+
+const SNAP_PX = 10; // px — snap radius around the cursor
+const EDGE_ANGLE = 30; // degrees between faces for an edge to count as a feature
+const MIN_LABEL_PX = 24; // px — dimension lines seen end-on get no label
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export function toMillimetres(length, model) {
+  return length / model.userData.modelScale * MM_PER_MODEL_UNIT;
+}
+
+export function formatMm(mm) {
+  return mm < 100 ? `${mm.toFixed(1)} mm` : `${Math.round(mm)} mm`;
+}
+
+// Feature edges per geometry, in local space (pairs of points)
+const edgeCache = new WeakMap();
+function featureEdges(geometry) {
+  if (!edgeCache.has(geometry)) {
+    const edges = new THREE.EdgesGeometry(geometry, EDGE_ANGLE);
+    edgeCache.set(geometry, edges.attributes.position.array.slice());
+    edges.dispose();
+  }
+  return edgeCache.get(geometry);
+}
+
+function svg(tag, className, parent) {
+  const el = document.createElementNS(SVG_NS, tag);
+  if (className) el.setAttribute('class', className);
+  parent.appendChild(el);
+  return el;
+}
+
+function setLine(el, a, b) {
+  el.setAttribute('x1', a.x);
+  el.setAttribute('y1', a.y);
+  el.setAttribute('x2', b.x);
+  el.setAttribute('y2', b.y);
+}
+
+// pick(event) → the first raycast hit on the visible model ({ point, object, instanceId, ... }) or null
+export function createMeasureOverlay(parent, { pick }) {
+  const el = svg('svg', 'measure-overlay', parent);
+  const dimsLayer = svg('g', 'measure-dims', el);
+  const measureLayer = svg('g', 'measure-lines', el);
+  const snapEl = svg('circle', 'measure-snap', el);
+  snapEl.setAttribute('r', 5);
+
+  let model = null;
+  const box = new THREE.Box3(); // assembled model, world space
+  const measurements = []; // { a, b } anchors (see anchor())
+  let showDimensions = false;
+  let active = false;
+  let pending = null; // anchor of the first point of the measurement being placed
+  let hover = null; // { point, kind } under the cursor while measuring
+
+  // One dimension line: main line, two extension lines, label
+  const dims = ['W', 'H', 'D'].map((axis) => {
+    const g = svg('g', 'measure-dim', dimsLayer);
+    return {
+      axis,
+      g,
+      line: svg('line', 'measure-dim-line', g),
+      extA: svg('line', 'measure-dim-ext', g),
+      extB: svg('line', 'measure-dim-ext', g),
+      label: svg('text', 'measure-label', g),
+    };
+  });
+
+  const tmp = new THREE.Vector3();
+  function toScreen(v, camera) {
+    tmp.copy(v).project(camera);
+    return { x: (tmp.x + 1) / 2 * window.innerWidth, y: (1 - tmp.y) / 2 * window.innerHeight, behind: tmp.z > 1 };
+  }
+
+  const mm = (length) => toMillimetres(length, model);
+
+  // --- Snapping ---
+  const instanceMatrix = new THREE.Matrix4();
+  const segA = new THREE.Vector3();
+  const segB = new THREE.Vector3();
+  const segment = new THREE.Line3(segA, segB);
+  const closest = new THREE.Vector3();
+  const cameraRight = new THREE.Vector3();
+
+  // World matrix of a mesh, or of one of its instances
+  const meshMatrix = new THREE.Matrix4();
+  function matrixOf(object, instanceId) {
+    object.updateWorldMatrix(true, false);
+    meshMatrix.copy(object.matrixWorld);
+    if (instanceId !== undefined) {
+      object.getMatrixAt(instanceId, instanceMatrix);
+      meshMatrix.multiply(instanceMatrix);
+    }
+    return meshMatrix;
+  }
+
+  function snap(hit, event, camera) {
+    const matrix = matrixOf(hit.object, hit.instanceId);
+    // World units per pixel at the hit, to skip edges far from it (and hidden behind it)
+    const s0 = toScreen(hit.point, camera);
+    cameraRight.setFromMatrixColumn(camera.matrixWorld, 0).multiplyScalar(0.01).add(hit.point);
+    const s1 = toScreen(cameraRight, camera);
+    const reach = SNAP_PX * 0.01 / Math.max(Math.hypot(s1.x - s0.x, s1.y - s0.y), 1e-6) * 2;
+
+    const cursor = { x: event.clientX, y: event.clientY };
+    const edges = featureEdges(hit.object.geometry);
+    let vertex = null;
+    let vertexDist = SNAP_PX;
+    let edge = null;
+    let edgeDist = SNAP_PX;
+    for (let i = 0; i < edges.length; i += 6) {
+      segA.fromArray(edges, i).applyMatrix4(matrix);
+      segB.fromArray(edges, i + 3).applyMatrix4(matrix);
+      segment.closestPointToPoint(hit.point, true, closest);
+      if (closest.distanceTo(hit.point) > reach) continue;
+      const sa = toScreen(segA, camera);
+      const sb = toScreen(segB, camera);
+      [[segA, sa], [segB, sb]].forEach(([p, sp]) => {
+        const d = Math.hypot(sp.x - cursor.x, sp.y - cursor.y);
+        if (d < vertexDist) { vertexDist = d; vertex = p.clone(); }
+      });
+      // Closest point on the screen segment; exact in orthographic, close enough in perspective
+      const dx = sb.x - sa.x;
+      const dy = sb.y - sa.y;
+      const t = THREE.MathUtils.clamp(((cursor.x - sa.x) * dx + (cursor.y - sa.y) * dy) / (dx * dx + dy * dy || 1), 0, 1);
+      const d = Math.hypot(sa.x + dx * t - cursor.x, sa.y + dy * t - cursor.y);
+      if (d < edgeDist) { edgeDist = d; edge = segA.clone().lerp(segB, t); }
+    }
+    const on = { object: hit.object, instanceId: hit.instanceId };
+    if (vertex) return { ...on, point: vertex, kind: 'vertex' };
+    if (edge) return { ...on, point: edge, kind: 'edge' };
+    return { ...on, point: hit.point.clone(), kind: 'face' };
+  }
+
+  function pointAt(event, camera) {
+    const hit = pick(event);
+    return hit ? snap(hit, event, camera) : null;
+  }
+
+  // --- Anchors: a picked point in its mesh's local space ---
+  function anchor({ object, instanceId, point }) {
+    const local = point.clone().applyMatrix4(matrixOf(object, instanceId).invert());
+    return { object, instanceId, local };
+  }
+
+  const worldOf = (a) => a.local.clone().applyMatrix4(matrixOf(a.object, a.instanceId));
+  const anchorShown = (a) => isShown(a.object, model);
+
+  // Bounding box of the meshes showing, so configurator swaps and hidden parts count right
+  const vertex = new THREE.Vector3();
+  const instanceBox = new THREE.Box3();
+  function measureBox() {
+    box.makeEmpty();
+    model.updateWorldMatrix(true, true);
+    model.traverse((c) => {
+      if (!c.isMesh || !isShown(c, model)) return;
+      if (c.isInstancedMesh) {
+        c.computeBoundingBox();
+        box.union(instanceBox.copy(c.boundingBox).applyMatrix4(c.matrixWorld));
+        return;
+      }
+      const position = c.geometry.attributes.position;
+      for (let i = 0; i < position.count; i++) {
+        box.expandByPoint(vertex.fromBufferAttribute(position, i).applyMatrix4(c.matrixWorld));
+      }
+    });
+  }
+
+  // --- Drawing ---
+  // Box edge along `axis` (0 x, 1 y, 2 z), pushed `gap` outwards. Widths and
+  // depths run along the floor on the camera's side, heights up the corner nearest
+  // the camera and step out sideways.
+  function boxEdge(axis, camera, gap) {
+    const center = box.getCenter(new THREE.Vector3());
+    const side = (i) => (camera.position.getComponent(i) >= center.getComponent(i) ? 1 : -1);
+    const at = (i) => (side(i) > 0 ? box.max : box.min).getComponent(i);
+    const corner = new THREE.Vector3(at(0), box.min.y, at(2));
+    const out = axis === 0 ? new THREE.Vector3(0, 0, side(2)) : new THREE.Vector3(side(0), 0, 0);
+    out.multiplyScalar(gap);
+    const a = corner.clone().setComponent(axis, box.min.getComponent(axis));
+    const b = corner.clone().setComponent(axis, box.max.getComponent(axis));
+    return { from: [a, b], to: [a.clone().add(out), b.clone().add(out)] };
+  }
+
+  function drawDimensions(camera) {
+    dimsLayer.style.display = showDimensions && model ? '' : 'none';
+    if (!showDimensions || !model) return;
+    const size = box.getSize(new THREE.Vector3());
+    const gap = Math.max(size.x, size.y, size.z) * 0.08;
+    dims.forEach((dim, axis) => {
+      const { from, to } = boxEdge(axis, camera, gap);
+      const [fa, fb, ta, tb] = [...from, ...to].map((v) => toScreen(v, camera));
+      setLine(dim.line, ta, tb);
+      setLine(dim.extA, fa, ta);
+      setLine(dim.extB, fb, tb);
+      const visible = Math.hypot(tb.x - ta.x, tb.y - ta.y) >= MIN_LABEL_PX && !ta.behind && !tb.behind;
+      dim.g.style.display = visible ? '' : 'none';
+      dim.label.setAttribute('x', (ta.x + tb.x) / 2);
+      dim.label.setAttribute('y', (ta.y + tb.y) / 2 - 6);
+      dim.label.textContent = `${dim.axis} ${formatMm(mm(size.getComponent(axis)))}`;
+    });
+  }
+
+  function drawMeasurements(camera) {
+    measureLayer.innerHTML = '';
+    const all = measurements
+      .filter(({ a, b }) => anchorShown(a) && anchorShown(b))
+      .map(({ a, b }) => ({ a: worldOf(a), b: worldOf(b) }));
+    if (pending && anchorShown(pending)) {
+      const a = worldOf(pending);
+      all.push({ a, b: hover ? hover.point : a, preview: true });
+    }
+    all.forEach(({ a, b, preview }) => {
+      const sa = toScreen(a, camera);
+      const sb = toScreen(b, camera);
+      if (sa.behind || sb.behind) return;
+      const g = svg('g', preview ? 'measure-item preview' : 'measure-item', measureLayer);
+      setLine(svg('line', 'measure-line', g), sa, sb);
+      [sa, sb].forEach((p) => {
+        const dot = svg('circle', 'measure-point', g);
+        dot.setAttribute('cx', p.x);
+        dot.setAttribute('cy', p.y);
+        dot.setAttribute('r', 3);
+      });
+      if (a === b) return;
+      const label = svg('text', 'measure-label', g);
+      label.setAttribute('x', (sa.x + sb.x) / 2);
+      label.setAttribute('y', (sa.y + sb.y) / 2 - 8);
+      label.textContent = formatMm(mm(a.distanceTo(b)));
+    });
+    const showSnap = active && hover;
+    snapEl.style.display = showSnap ? '' : 'none';
+    if (showSnap) {
+      const s = toScreen(hover.point, camera);
+      snapEl.setAttribute('cx', s.x);
+      snapEl.setAttribute('cy', s.y);
+      snapEl.setAttribute('class', `measure-snap ${hover.kind}`);
+    }
+  }
+
+  return {
+    // Call with the model assembled (before any explode offset is applied)
+    setModel(m) {
+      model = m;
+      measureBox();
+      measurements.length = 0;
+      pending = hover = null;
+    },
+    // Measure the box again, e.g. after the configurator swapped parts; call with
+    // the model assembled
+    refresh() {
+      if (model) measureBox();
+    },
+    // { width, height, depth } in mm
+    get dimensions() {
+      if (!model) return null;
+      const size = box.getSize(new THREE.Vector3());
+      return { width: mm(size.x), height: mm(size.y), depth: mm(size.z) };
+    },
+    get showDimensions() { return showDimensions; },
+    set showDimensions(v) { showDimensions = v; },
+    get active() { return active; },
+    set active(v) {
+      active = v;
+      pending = hover = null;
+      parent.classList.toggle('measuring', v);
+    },
+    get count() { return measurements.length; },
+    handleMove(event, camera) {
+      hover = active && model ? pointAt(event, camera) : null;
+    },
+    // Returns true when the click was used
+    handleClick(event, camera) {
+      if (!active || !model) return false;
+      const p = pointAt(event, camera);
+      if (!p) return true; // a miss while measuring does nothing else either
+      if (!pending) pending = anchor(p);
+      else {
+        measurements.push({ a: pending, b: anchor(p) });
+        pending = null;
+      }
+      return true;
+    },
+    // Drop the half-placed measurement; returns true if there was one
+    cancel() {
+      if (!pending) return false;
+      pending = null;
+      return true;
+    },
+    clear() {
+      measurements.length = 0;
+      pending = null;
+    },
+    update(camera) {
+      drawDimensions(camera);
+      drawMeasurements(camera);
+    },
+  };
+}
@@ -0,0 +1,44 @@
+// Stable identity for a node of the model: its child-index chain from the root
+// ('2/0/5', '' for the root itself). CAD exports repeat names ("Solid2" ×2) or
+// leave them empty, so names alone can't tell parts apart. Saved references keep
+// the name too: a path from another export (or an old file without one) falls
+// back to the first node of that name.
+
+// Path of `obj` under `root`, or null if it isn't under it
+export function pathOf(root, obj) {
+  const indices = [];
+  for (let o = obj; o !== root; o = o.parent) {
+    if (!o?.parent) return null;
+    indices.unshift(o.parent.children.indexOf(o));
+  }
+  return indices.join('/');
+}
+
+export function nodeAtPath(root, path) {
+  if (path === '') return root;
+  let node = root;
+  for (const i of path.split('/')) {
+    node = node?.children[Number(i)];
+  }
+  return node ?? null;
+}
+
+// { path, name } → node. The path wins while it lands on a node of that name.
+export function findNode(root, { path, name }) {
+  if (typeof path === 'string') {
+    const node = nodeAtPath(root, path);
+    if (node && (!name || node.name === name)) return node;
+  }
+  return name ? root.getObjectByName(name) ?? null : null;
+}
+
+// False when hidden by a part toggle, or swapped out by the configurator (layer 0
+// off or removed from the model)
+export function isShown(obj, root) {
+  if (!obj.layers.isEnabled(0)) return false;
+  for (let o = obj; o; o = o.parent) {
+    if (!o.visible) return false;
+    if (o === root) return true;
+  }
+  return false;
+}
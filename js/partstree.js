@@ -0,0 +1,133 @@
+// Parts tree — collapsible view of the loaded GLB hierarchy with visibility
+// checkboxes, a name filter and click-to-select. Only expanded branches are
+// rendered, so large CAD assemblies stay cheap until they are opened.
+
+const AUTO_EXPAND_DEPTH = 2;
+
+function labelOf(obj) {
+  return obj.name || `(${obj.isMesh ? 'mesh' : obj.type.toLowerCase()})`;
+}
+
+// callbacks: { onSelect(obj | null), onVisibilityChange(obj) }
+export function createPartsTree(parent, { onSelect, onVisibilityChange }) {
+  const el = document.createElement('aside');
+  el.className = 'parts-tree hidden';
+  el.innerHTML =
+    `<header class="parts-tree-header">` +
+      `<span>parts</span>` +
+      `<button class="parts-tree-close" aria-label="Close">×</button>` +
+    `</header>` +
+    `<input class="parts-tree-search" type="search" placeholder="filter by name" spellcheck="false" />` +
+    `<ul class="parts-tree-list" role="tree"></ul>`;
+  parent.appendChild(el);
+
+  const searchEl = el.querySelector('.parts-tree-search');
+  const listEl = el.querySelector('.parts-tree-list');
+
+  let root = null;
+  let filter = '';
+  let selected = null;
+  const expanded = new Set();
+  const rows = new Map(); // obj → { row, checkbox }
+
+  // Objects to show for the current filter: matches plus their ancestors
+  function visibleSet() {
+    if (!filter) return null;
+    const show = new Set();
+    root.traverse((obj) => {
+      if (!labelOf(obj).toLowerCase().includes(filter)) return;
+      for (let o = obj; o; o = o === root ? null : o.parent) show.add(o);
+    });
+    return show;
+  }
+
+  function renderNode(obj, depth, show, into) {
+    if (show && !show.has(obj)) return;
+    const li = document.createElement('li');
+    li.setAttribute('role', 'treeitem');
+    const row = document.createElement('div');
+    row.className = 'parts-tree-row' + (obj === selected ? ' selected' : '');
+    row.style.paddingLeft = `${depth * 12 + 4}px`;
+
+    const hasChildren = obj.children.length > 0;
+    const isOpen = hasChildren && (show ? true : expanded.has(obj));
+    const caret = document.createElement('button');
+    caret.className = 'parts-tree-caret';
+    caret.textContent = hasChildren ? (isOpen ? '▾' : '▸') : '';
+    caret.disabled = !hasChildren || !!show;
+    caret.addEventListener('click', () => {
+      if (expanded.has(obj)) expanded.delete(obj);
+      else expanded.add(obj);
+      render();
+    });
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = obj.visible;
+    checkbox.addEventListener('change', () => {
+      obj.visible = checkbox.checked;
+      onVisibilityChange?.(obj);
+    });
+
+    const name = document.createElement('span');
+    name.className = 'parts-tree-name';
+    name.textContent = labelOf(obj);
+    name.title = labelOf(obj);
+    name.addEventListener('click', () => select(obj === selected ? null : obj));
+
+    row.append(caret, checkbox, name);
+    li.appendChild(row);
+    rows.set(obj, { row, checkbox });
+
+    if (isOpen) {
+      const ul = document.createElement('ul');
+      ul.setAttribute('role', 'group');
+      obj.children.forEach((child) => renderNode(child, depth + 1, show, ul));
+      li.appendChild(ul);
+    }
+    into.appendChild(li);
+  }
+
+  function render() {
+    listEl.innerHTML = '';
+    rows.clear();
+    if (root) renderNode(root, 0, visibleSet(), listEl);
+  }
+
+  function select(obj) {
+    rows.get(selected)?.row.classList.remove('selected');
+    selected = obj;
+    rows.get(selected)?.row.classList.add('selected');
+    onSelect(obj);
+  }
+
+  searchEl.addEventListener('input', () => {
+    filter = searchEl.value.trim().toLowerCase();
+    render();
+  });
+  el.querySelector('.parts-tree-close').addEventListener('click', () => { api.open = false; });
+
+  const api = {
+    rebuild(newRoot) {
+      root = newRoot;
+      expanded.clear();
+      root.traverse((obj) => {
+        let depth = 0;
+        for (let o = obj; o !== root; o = o.parent) depth++;
+        if (depth < AUTO_EXPAND_DEPTH) expanded.add(obj);
+      });
+      if (selected) select(null);
+      render();
+    },
+    // Pull visibility changes made elsewhere (part toggles, deep links) into the checkboxes
+    syncVisibility() {
+      if (!api.open) return;
+      rows.forEach(({ checkbox }, obj) => {
+        if (checkbox.checked !== obj.visible) checkbox.checked = obj.visible;
+      });
+    },
+    get open() { return !el.classList.contains('hidden'); },
+    set open(v) { el.classList.toggle('hidden', !v); },
+  };
+  return api;
+}
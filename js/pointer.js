@@ -0,0 +1,125 @@
+// Pointer gestures for the orbit camera. Turns mouse, pen and touch input into
+// screen-space deltas; main.js maps them onto azimuth / elevation / frustum:
+//   drag                         → onOrbit(dx, dy), with inertia after release
+//   shift-drag, middle-drag      → onPan(dx, dy)
+//   two-finger drag              → onPan(dx, dy) of the midpoint
+//   pinch, ctrl/⌘ + wheel        → onZoom(factor)  (factor > 1 zooms out)
+// A press that moved past the drag threshold swallows the click that follows,
+// so orbiting never toggles parts or cycles views by accident.
+
+const DRAG_THRESHOLD = 4; // px before a press counts as a drag
+const INERTIA_DAMPING = 5; // 1/s — velocity decay after release
+const INERTIA_MIN_SPEED = 5; // px/s — below this the camera just stops
+const RELEASE_TIMEOUT = 80; // ms — a pause before release means no fling
+const WHEEL_ZOOM_SPEED = 0.002;
+
+export function createPointerInput(el, { onOrbit, onPan, onZoom }) {
+  const pointers = new Map(); // pointerId → { x, y }
+  let mode = null; // 'orbit' | 'pan' | 'pinch'
+  let start = null;
+  let dragged = false;
+  let suppressClick = false;
+  let pinch = null; // { dist, x, y }
+  const velocity = { x: 0, y: 0 }; // px/s while orbiting
+  let lastMove = 0;
+
+  function pinchState() {
+    const [a, b] = [...pointers.values()];
+    return { dist: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  el.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0 && e.button !== 1) return;
+    el.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    velocity.x = velocity.y = 0;
+    suppressClick = false;
+
+    if (pointers.size === 1) {
+      mode = e.button === 1 || e.shiftKey ? 'pan' : 'orbit';
+      start = { x: e.clientX, y: e.clientY };
+      dragged = false;
+    } else if (pointers.size === 2) {
+      // A two-finger gesture is never a tap
+      mode = 'pinch';
+      pinch = pinchState();
+      dragged = true;
+    }
+  });
+
+  el.addEventListener('pointermove', (e) => {
+    const p = pointers.get(e.pointerId);
+    if (!p) return;
+    const dx = e.clientX - p.x;
+    const dy = e.clientY - p.y;
+    p.x = e.clientX;
+    p.y = e.clientY;
+
+    if (mode === 'pinch') {
+      if (pointers.size < 2) return;
+      const next = pinchState();
+      if (next.dist > 0) onZoom(pinch.dist / next.dist);
+      onPan(next.x - pinch.x, next.y - pinch.y);
+      pinch = next;
+      return;
+    }
+
+    if (!dragged && Math.hypot(e.clientX - start.x, e.clientY - start.y) < DRAG_THRESHOLD) return;
+    dragged = true;
+    if (mode === 'pan') {
+      onPan(dx, dy);
+      return;
+    }
+    onOrbit(dx, dy);
+    // Smoothed release velocity for the fling
+    const now = performance.now();
+    const dt = Math.max(now - lastMove, 1) / 1000;
+    velocity.x += (dx / dt - velocity.x) * 0.5;
+    velocity.y += (dy / dt - velocity.y) * 0.5;
+    lastMove = now;
+  });
+
+  function release(e) {
+    if (!pointers.delete(e.pointerId)) return;
+    if (dragged) suppressClick = true;
+    if (pointers.size === 1) {
+      // Pinch → one finger left: carry on orbiting from where it is
+      mode = 'orbit';
+      velocity.x = velocity.y = 0;
+    } else if (pointers.size === 0) {
+      if (mode !== 'orbit' || performance.now() - lastMove > RELEASE_TIMEOUT) velocity.x = velocity.y = 0;
+      mode = null;
+    }
+  }
+  el.addEventListener('pointerup', release);
+  el.addEventListener('pointercancel', release);
+
+  // Registered before the viewer's own click handlers, so this runs first
+  el.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopImmediatePropagation();
+  });
+
+  // Plain wheel switches contexts (main.js); with ctrl/⌘ — also what trackpad pinch sends — it zooms
+  el.addEventListener('wheel', (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    onZoom(Math.exp(e.deltaY * WHEEL_ZOOM_SPEED));
+  }, { passive: false });
+
+  return {
+    get active() { return pointers.size > 0; },
+    // Called every frame: coasts the orbit after a fling
+    update(dt) {
+      if (pointers.size > 0 || Math.hypot(velocity.x, velocity.y) < INERTIA_MIN_SPEED) return;
+      onOrbit(velocity.x * dt, velocity.y * dt);
+      const decay = Math.exp(-INERTIA_DAMPING * dt);
+      velocity.x *= decay;
+      velocity.y *= decay;
+    },
+    stop() {
+      velocity.x = velocity.y = 0;
+    },
+  };
+}
@@ -0,0 +1,149 @@
+import { presets as builtInPresets } from './config.js';
+import { downloadJson, pickJsonFile } from './files.js';
+
+// Preset storage + (de)serialisation.
+// A preset has the same shape as `defaults` in config.js (any section may be omitted).
+// User presets live in localStorage; presets travel between machines as JSON files.
+// `scene.background` is owned by the aesthetic contexts and is not applied.
+
+const STORAGE_KEY = 'angl-viewer:presets';
+const FILE_VERSION = 1;
+
+// Preset path → GUI settings key (gui.js). Everything listed here has a controller.
+const SETTINGS_MAP = {
+  'lighting.ambientIntensity': 'ambientIntensity',
+  'lighting.keyIntensity': 'directIntensity',
+  'lighting.fillIntensity': 'fillIntensity',
+  'lighting.rimIntensity': 'rimIntensity',
+  'lighting.envIntensity': 'envIntensity',
+  'material.metalness': 'metalness',
+  'material.roughness': 'roughness',
+  'material.clearcoat': 'clearcoat',
+  'material.clearcoatRoughness': 'clearcoatRoughness',
+  'postprocessing.toneMapping': 'toneMapping',
+  'postprocessing.exposure': 'exposure',
+  'postprocessing.ssao': 'ssao',
+  'postprocessing.ssaoIntensity': 'ssaoIntensity',
+  'postprocessing.ssaoRadius': 'ssaoRadius',
+  'postprocessing.bloom': 'bloom',
+  'postprocessing.bloomStrength': 'bloomStrength',
+  'postprocessing.bloomRadius': 'bloomRadius',
+  'postprocessing.bloomThreshold': 'bloomThreshold',
+  'postprocessing.smaa': 'smaa',
+  'postprocessing.dof': 'dof',
+  'postprocessing.dofFocusOffset': 'dofFocusOffset',
+  'postprocessing.dofAperture': 'dofAperture',
+  'postprocessing.dofMaxBlur': 'dofMaxBlur',
+  'postprocessing.vignette': 'vignette',
+  'postprocessing.vignetteAmount': 'vignetteAmount',
+  'postprocessing.grain': 'grain',
+  'postprocessing.grainAmount': 'grainAmount',
+  'postprocessing.chromaticAberration': 'chromaticAberration',
+  'postprocessing.chromaticAberrationAmount': 'chromaticAberrationAmount',
+  'postprocessing.colorGrading': 'colorGrading',
+  'postprocessing.midSaturation': 'midSaturation',
+  'postprocessing.shadowWarmth': 'shadowWarmth',
+  'postprocessing.highlightWarmth': 'highlightWarmth',
+  'postprocessing.lensDistortion': 'lensDistortion',
+  'postprocessing.lensDistortionAmount': 'lensDistortionAmount',
+  'postprocessing.anamorphicFlare': 'anamorphicFlare',
+  'postprocessing.flareThreshold': 'flareThreshold',
+  'postprocessing.flareStrength': 'flareStrength',
+  'shadows.enabled': 'contactShadows',
+  'cameraSway.enabled': 'cameraSway',
+  'ground.visible': 'ground',
+};
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let o = obj;
+  keys.forEach((k) => { o = o[k] ??= {}; });
+  o[last] = value;
+}
+
+// Flatten a preset into { settingsKey: value } for the GUI controllers
+export function presetToSettings(preset) {
+  const out = {};
+  Object.entries(SETTINGS_MAP).forEach(([path, key]) => {
+    const v = getPath(preset, path);
+    if (v !== undefined) out[key] = v;
+  });
+  return out;
+}
+
+// Inverse of presetToSettings; `extra` carries the values that have no controller
+export function settingsToPreset(settings, extra = {}) {
+  const preset = structuredClone(extra);
+  Object.entries(SETTINGS_MAP).forEach(([path, key]) => {
+    if (settings[key] !== undefined) setPath(preset, path, settings[key]);
+  });
+  return preset;
+}
+
+// --- User presets (localStorage) ---
+export function loadUserPresets() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (err) {
+    console.warn('Could not read user presets:', err);
+    return {};
+  }
+}
+
+function storeUserPresets(all) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+export function saveUserPreset(name, preset) {
+  const all = loadUserPresets();
+  all[name] = preset;
+  storeUserPresets(all);
+}
+
+export function deleteUserPreset(name) {
+  const all = loadUserPresets();
+  delete all[name];
+  storeUserPresets(all);
+}
+
+// All selectable presets: { label: { name, preset, user } }
+export function listPresets() {
+  const list = {};
+  Object.entries(builtInPresets).forEach(([name, preset]) => {
+    list[name] = { name, preset, user: false };
+  });
+  Object.entries(loadUserPresets()).forEach(([name, preset]) => {
+    list[`★ ${name}`] = { name, preset, user: true };
+  });
+  return list;
+}
+
+// --- JSON import / export ---
+export function exportPreset(name, preset) {
+  downloadJson({ version: FILE_VERSION, name, preset }, `angl-preset-${name.replace(/[^\w-]+/g, '_')}.json`);
+}
+
+const SECTIONS = ['scene', 'lighting', 'material', 'camera', 'postprocessing', 'shadows', 'cameraSway', 'ground'];
+
+// Accepts either an exported file ({ version, name, preset }) or a bare preset object
+export function parsePresetFile(text, fallbackName) {
+  const data = JSON.parse(text);
+  const isWrapped = data && typeof data.preset === 'object';
+  const preset = isWrapped ? data.preset : data;
+  const name = (isWrapped && data.name) || fallbackName;
+  if (!preset || typeof preset !== 'object' || !SECTIONS.some((s) => typeof preset[s] === 'object')) {
+    throw new Error('not a viewer preset (expected one of: ' + SECTIONS.join(', ') + ')');
+  }
+  return { name, preset };
+}
+
+// Opens a file picker (pickJsonFile) and resolves with the parsed preset, or null when dismissed
+export function importPresetFile() {
+  return pickJsonFile((text, file) => parsePresetFile(text, file.name.replace(/\.json$/i, '')));
+}
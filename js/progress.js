@@ -0,0 +1,80 @@
+// Loading progress — adds up bytes across every download (GLB, HDRI, textures)
+// and eases the overlay bar towards the combined fraction. Tasks register with
+// an estimated size that is replaced by the real Content-Length once known.
+// The bar never moves backwards, even when a later task grows the total.
+
+const EASE = 0.12;
+
+function mb(bytes) {
+  return (bytes / 1048576).toFixed(1);
+}
+
+export function createLoadProgress(bar, label) {
+  const tasks = new Map(); // id → { stage, loaded, total, done }
+  let shown = 0;
+  let frame = 0;
+  let note = null; // one-off message shown until the next progress event
+
+  function totals(filter = () => true) {
+    let loaded = 0, total = 0, count = 0, done = 0;
+    tasks.forEach((t) => {
+      if (!filter(t)) return;
+      loaded += Math.min(t.loaded, t.total);
+      total += t.total;
+      count++;
+      if (t.done) done++;
+    });
+    return { loaded, total, count, done };
+  }
+
+  function render() {
+    const { loaded, total } = totals();
+    const target = total ? loaded / total : 0;
+    shown = Math.max(shown, shown + (target - shown) * EASE);
+    bar.style.width = `${(shown * 100).toFixed(1)}%`;
+
+    // Label the first stage still downloading
+    const active = [...tasks.values()].find((t) => !t.done);
+    if (note) {
+      label.textContent = note;
+    } else if (active) {
+      const s = totals((t) => t.stage === active.stage);
+      const files = s.count > 1 ? ` ${s.done}/${s.count} ·` : '';
+      label.textContent = `${active.stage}...${files} ${mb(s.loaded)} / ${mb(s.total)} MB`;
+    }
+    frame = requestAnimationFrame(render);
+  }
+  frame = requestAnimationFrame(render);
+
+  return {
+    // stage: overlay label, e.g. 'loading model'; estimate: bytes until the server says
+    add(id, stage, estimate) {
+      tasks.set(id, { stage, loaded: 0, total: estimate, done: false });
+    },
+    // ProgressEvent handler for three.js loaders / FileLoader
+    onProgress(id) {
+      return (e) => {
+        const t = tasks.get(id);
+        if (!t) return;
+        if (e.lengthComputable && e.total) t.total = e.total;
+        t.loaded = e.loaded;
+        note = null;
+      };
+    },
+    note(text) {
+      note = text;
+    },
+    // Finished (or given up on): counts as fully loaded
+    done(id) {
+      const t = tasks.get(id);
+      if (!t) return;
+      t.loaded = t.total;
+      t.done = true;
+    },
+    finish(text) {
+      cancelAnimationFrame(frame);
+      bar.style.width = '100%';
+      label.textContent = text;
+    },
+  };
+}
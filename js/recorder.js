@@ -0,0 +1,170 @@
+import { download } from './files.js';
+
+// Offline video capture. The recorder takes over the render loop and steps it
+// at a fixed timestep (1 / fps), so grain, sway, easing and shots come out the
+// same however slow each frame is to render. Frames are read straight from the
+// canvas after each render and written as:
+//   WebM — WebCodecs VP9 + webm-muxer; MediaRecorder where WebCodecs is missing
+//          (that path has to run in real time, as MediaRecorder stamps frames by wall clock)
+//   PNG  — a zip of numbered PNG frames (fflate), for editing tools
+// Encoder libraries are loaded on first use (see the import map in index.html).
+
+export const RESOLUTIONS = {
+  '1280×720': [1280, 720],
+  '1920×1080': [1920, 1080],
+  '2560×1440': [2560, 1440],
+  '3840×2160': [3840, 2160],
+  '1080×1080': [1080, 1080],
+  '1080×1920': [1080, 1920],
+};
+
+export const FORMATS = ['WebM', 'PNG sequence (zip)'];
+
+const KEYFRAME_INTERVAL = 2; // seconds
+const MAX_ENCODE_QUEUE = 4;
+
+function bitrateFor(width, height, fps) {
+  return Math.round(width * height * fps * 0.15); // ~9 Mbit/s at 1080p30
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// --- Writers: addFrame(canvas, index) → Promise, finish() → Promise<Blob> ---
+async function createWebCodecsWriter({ width, height, fps }) {
+  const config = { codec: 'vp09.00.40.08', width, height, bitrate: bitrateFor(width, height, fps), framerate: fps };
+  const { supported } = await VideoEncoder.isConfigSupported(config);
+  if (!supported) throw new Error(`VP9 ${width}×${height} not supported by this browser`);
+
+  const { Muxer, ArrayBufferTarget } = await import('webm-muxer');
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'V_VP9', width, height, frameRate: fps },
+  });
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (err) => { failure = err; },
+  });
+  encoder.configure(config);
+  const frameDuration = 1e6 / fps; // µs
+
+  return {
+    async addFrame(canvas, i) {
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(i * frameDuration), duration: Math.round(frameDuration) });
+      encoder.encode(frame, { keyFrame: i % Math.round(fps * KEYFRAME_INTERVAL) === 0 });
+      frame.close();
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise((resolve) => encoder.addEventListener('dequeue', resolve, { once: true }));
+      }
+      if (failure) throw failure;
+    },
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      muxer.finalize();
+      return new Blob([muxer.target.buffer], { type: 'video/webm' });
+    },
+    cancel() {
+      if (encoder.state !== 'closed') encoder.close();
+    },
+  };
+}
+
+function createMediaRecorderWriter(canvas, { width, height, fps }) {
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find((t) => MediaRecorder.isTypeSupported(t));
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrateFor(width, height, fps) });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  recorder.start();
+
+  return {
+    async addFrame() {
+      track.requestFrame();
+      await sleep(1000 / fps);
+    },
+    finish() {
+      return new Promise((resolve) => {
+        recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+        recorder.stop();
+      });
+    },
+    cancel() {
+      if (recorder.state !== 'inactive') recorder.stop();
+    },
+  };
+}
+
+async function createPngZipWriter() {
+  const { zipSync } = await import('fflate');
+  const files = {};
+  return {
+    async addFrame(canvas, i) {
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+      // PNG is already deflated; storing avoids compressing it twice
+      files[`frame_${String(i).padStart(5, '0')}.png`] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+    },
+    async finish() {
+      return new Blob([zipSync(files)], { type: 'application/zip' });
+    },
+    cancel() {},
+  };
+}
+
+// hooks:
+//   canvas
+//   setRenderSize(w, h, pixelRatio), restoreRenderSize()
+//   renderFrame(time, dt) — one full update + render of the viewer
+// A shot is { start?(), update(progress), end?() }; it poses the scene before each
+// frame. progress runs 0 → (frames - 1) / frames, so a full-turn shot loops seamlessly.
+export function createRecorder({ canvas, setRenderSize, restoreRenderSize, renderFrame }) {
+  let busy = false;
+  let cancelled = false;
+
+  return {
+    get busy() { return busy; },
+    cancel() { cancelled = true; },
+    async record({ width, height, fps, duration, format, shot, startTime = 0, name = 'angl', onProgress }) {
+      if (busy) throw new Error('a recording is already running');
+      busy = true;
+      cancelled = false;
+      const frames = Math.max(1, Math.round(duration * fps));
+      const png = format === FORMATS[1];
+      let writer = null;
+      setRenderSize(width, height, 1);
+      try {
+        if (png) writer = await createPngZipWriter();
+        else if (typeof VideoEncoder !== 'undefined') writer = await createWebCodecsWriter({ width, height, fps });
+        else writer = createMediaRecorderWriter(canvas, { width, height, fps });
+
+        // The shot only poses the scene once there is a writer to record it
+        shot.start?.();
+        try {
+          for (let i = 0; i < frames; i++) {
+            if (cancelled) throw new Error('cancelled');
+            shot.update(i / frames);
+            renderFrame(startTime + i / fps, 1 / fps);
+            await writer.addFrame(canvas, i);
+            onProgress?.(i + 1, frames);
+            if (i % 4 === 3) await sleep(0); // let the GUI show progress
+          }
+        } finally {
+          shot.end?.();
+        }
+        const blob = await writer.finish();
+        download(blob, `${name}-${width}x${height}-${fps}fps.${png ? 'zip' : 'webm'}`);
+      } catch (err) {
+        writer?.cancel();
+        throw err;
+      } finally {
+        // Always hand the viewer back, whatever failed above
+        restoreRenderSize();
+        busy = false;
+      }
+    },
+  };
+}
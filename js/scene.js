@@ -0,0 +1,667 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { defaults } from './config.js';
+import { assetSources } from './assets.js';
+
+// Scene construction shared by the viewer (main.js) and headless renders
+// (headless.js, driven by tools/render-cli.mjs): renderer settings, studio
+// lights, shelf and wall, model placement, environment, context looks, the
+// orbit camera and the post-processing stack. Nothing here touches the DOM
+// or input; interaction stays in main.js.
+
+export const MODEL_PATHS = {
+  optimized: './models/ANGL-ASM-MAIN_REV-G_FULL_optimized.glb',
+  full: './models/ANGL-ASM-MAIN_REV-G_FULL.glb',
+};
+
+// Other revisions ship under the same names with another letter (…_REV-F_…)
+export const MODEL_REVISION = MODEL_PATHS.full.match(/_REV-(\w+?)_/)[1];
+
+export function revisionPaths(revision) {
+  const paths = {};
+  Object.entries(MODEL_PATHS).forEach(([key, path]) => {
+    paths[key] = path.replace(`_REV-${MODEL_REVISION}_`, `_REV-${revision}_`);
+  });
+  return paths;
+}
+
+// --- Renderer ---
+export function configureRenderer(renderer) {
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.toneMapping = THREE.ACESFilmicToneMapping;
+  renderer.toneMappingExposure = defaults.postprocessing.exposure;
+  const shadowDefaults = defaults.shadows || { enabled: true, mapSize: 2048 };
+  renderer.shadowMap.enabled = shadowDefaults.enabled;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  renderer.physicallyCorrectLights = true;
+}
+
+// --- Cameras ---
+// The orbit camera looks at a target from azimuth / elevation (radians).
+// frustum is the world-space height visible at the target, for both cameras:
+// ortho sits at ORBIT_RADIUS, perspective keeps its lens and dollies.
+export const FRUSTUM_DEFAULT = 2.2;
+export const ORBIT_RADIUS = 2.5;
+// ~60° instead of 90° so the wall stays visible from side views
+export const VIEW_ANGLES = { Front: 0, Right: -Math.PI / 3, Rear: Math.PI, Left: Math.PI / 3, Isometric: Math.PI / 4 };
+// Isometric uses a higher elevation
+export const ISO_ELEVATION = 0.55;
+export const DEFAULT_ELEVATION = 0.15;
+
+export function viewElevation(name) {
+  return name === 'Isometric' ? ISO_ELEVATION : DEFAULT_ELEVATION;
+}
+
+export function createCameras(aspect, fov) {
+  const orthoCamera = new THREE.OrthographicCamera(
+    -FRUSTUM_DEFAULT * aspect / 2, FRUSTUM_DEFAULT * aspect / 2,
+    FRUSTUM_DEFAULT / 2, -FRUSTUM_DEFAULT / 2,
+    0.01, 100
+  );
+  orthoCamera.position.set(0, 0.3, ORBIT_RADIUS);
+
+  const perspCamera = new THREE.PerspectiveCamera(fov, aspect, 0.01, 100);
+  perspCamera.position.set(0, 0.3, ORBIT_RADIUS);
+  return { orthoCamera, perspCamera };
+}
+
+// pose: { azimuth, elevation, frustum, target: Vector3, fov }
+export function poseCamera(camera, pose, aspect) {
+  const { azimuth, elevation, frustum, target } = pose;
+  let distance = ORBIT_RADIUS;
+  if (camera.isOrthographicCamera) {
+    camera.left = -frustum * aspect / 2;
+    camera.right = frustum * aspect / 2;
+    camera.top = frustum / 2;
+    camera.bottom = -frustum / 2;
+  } else {
+    camera.fov = pose.fov;
+    camera.aspect = aspect;
+    distance = frustum / (2 * Math.tan(THREE.MathUtils.degToRad(pose.fov) / 2));
+  }
+  camera.updateProjectionMatrix();
+  camera.position.x = target.x + distance * Math.sin(azimuth) * Math.cos(elevation);
+  camera.position.y = target.y + distance * Math.sin(elevation);
+  camera.position.z = target.z + distance * Math.cos(azimuth) * Math.cos(elevation);
+  camera.lookAt(target);
+}
+
+// Depth of field focuses on the orbit target; `offset` moves the focus behind (+)
+// or in front of (-) it. Called after every pose, as zoom changes the distance.
+export function focusOnTarget(bokehPass, camera, target, offset = 0) {
+  bokehPass.uniforms.focus.value = Math.max(0.01, camera.position.distanceTo(target) + offset);
+}
+
+// --- Stage: lights, ground, wall-mounted shelf ---
+export function createStage() {
+  const scene = new THREE.Scene();
+  const shadowDefaults = defaults.shadows || { enabled: true, mapSize: 2048 };
+
+  // Backdrop (contexts recolor it) and environment strength
+  scene.background = new THREE.Color(0xf0ebe3);
+  scene.environmentIntensity = defaults.lighting.envIntensity;
+
+  // --- Lights (3-point studio setup for premium product) ---
+  const ambient = new THREE.AmbientLight(
+    defaults.lighting.ambientColor,
+    defaults.lighting.ambientIntensity
+  );
+  scene.add(ambient);
+
+  // Key light — warm directional, high-res shadows
+  const keyLight = new THREE.DirectionalLight(
+    defaults.lighting.keyColor,
+    defaults.lighting.keyIntensity
+  );
+  keyLight.position.set(
+    defaults.lighting.keyPosition.x,
+    defaults.lighting.keyPosition.y,
+    defaults.lighting.keyPosition.z
+  );
+  keyLight.castShadow = shadowDefaults.enabled;
+  keyLight.shadow.mapSize.width = shadowDefaults.mapSize;
+  keyLight.shadow.mapSize.height = shadowDefaults.mapSize;
+  keyLight.shadow.camera.near = 0.5;
+  keyLight.shadow.camera.far = 12;
+  keyLight.shadow.camera.left = -1.5;
+  keyLight.shadow.camera.right = 1.5;
+  keyLight.shadow.camera.top = 2;
+  keyLight.shadow.camera.bottom = -1;
+  keyLight.shadow.bias = -0.0003;
+  keyLight.shadow.normalBias = 0.04;
+  keyLight.shadow.radius = 3;
+  scene.add(keyLight);
+
+  // Fill light — cool-toned, softer
+  const fillLight = new THREE.PointLight(
+    defaults.lighting.fillColor,
+    defaults.lighting.fillIntensity,
+    20,
+    1.5
+  );
+  fillLight.position.set(
+    defaults.lighting.fillPosition.x,
+    defaults.lighting.fillPosition.y,
+    defaults.lighting.fillPosition.z
+  );
+  scene.add(fillLight);
+
+  // Rim / back light — warm accent edge highlight
+  const rimLight = new THREE.SpotLight(
+    defaults.lighting.rimColor,
+    defaults.lighting.rimIntensity,
+    30,
+    Math.PI / 5,
+    0.6
+  );
+  rimLight.position.set(
+    defaults.lighting.rimPosition.x,
+    defaults.lighting.rimPosition.y,
+    defaults.lighting.rimPosition.z
+  );
+  rimLight.target.position.set(0, 0.3, 0);
+  scene.add(rimLight);
+  scene.add(rimLight.target);
+
+  // Bottom bounce — subtle upward fill to lift shadows under the case
+  const bounceLight = new THREE.PointLight('#334466', 0.3, 8, 2);
+  bounceLight.position.set(0, -0.5, 0);
+  scene.add(bounceLight);
+
+  // --- Ground plane with contact shadow ---
+  const groundPlane = new THREE.Mesh(
+    new THREE.PlaneGeometry(20, 20),
+    new THREE.ShadowMaterial({ opacity: defaults.ground.shadowOpacity })
+  );
+  groundPlane.rotation.x = -Math.PI / 2;
+  groundPlane.position.y = 0;
+  groundPlane.receiveShadow = true;
+  groundPlane.visible = defaults.ground.visible;
+  scene.add(groundPlane);
+
+  // --- Wall-mounted shelf ---
+  const shelfGroup = new THREE.Group();
+
+  // Wood plank
+  const plankGeo = new THREE.BoxGeometry(3.5, 0.04, 1.6);
+  const woodMat = new THREE.MeshPhysicalMaterial({
+    color: 0xc8a87c,
+    roughness: 0.65,
+    metalness: 0.0,
+    clearcoat: 0.15,
+    clearcoatRoughness: 0.4,
+  });
+  const plank = new THREE.Mesh(plankGeo, woodMat);
+  plank.position.y = -0.02; // top surface at y=0
+  plank.receiveShadow = true;
+  shelfGroup.add(plank);
+
+  // Dark metal bracket material
+  const bracketMat = new THREE.MeshPhysicalMaterial({
+    color: 0x222222,
+    roughness: 0.4,
+    metalness: 0.85,
+  });
+
+  // L-shaped bracket helper: vertical arm against wall + horizontal arm under plank
+  function createBracket(xPos) {
+    const bracketGroup = new THREE.Group();
+
+    // Vertical arm (against wall)
+    const vertGeo = new THREE.BoxGeometry(0.04, 0.3, 0.035);
+    const vert = new THREE.Mesh(vertGeo, bracketMat);
+    vert.position.set(0, -0.19, -0.38);
+    vert.castShadow = true;
+    bracketGroup.add(vert);
+
+    // Horizontal arm (under plank)
+    const horizGeo = new THREE.BoxGeometry(0.04, 0.035, 0.7);
+    const horiz = new THREE.Mesh(horizGeo, bracketMat);
+    horiz.position.set(0, -0.055, -0.05);
+    horiz.castShadow = true;
+    bracketGroup.add(horiz);
+
+    // Small diagonal brace for realism
+    const braceLen = 0.28;
+    const braceGeo = new THREE.BoxGeometry(0.03, 0.025, braceLen);
+    const brace = new THREE.Mesh(braceGeo, bracketMat);
+    brace.position.set(0, -0.14, -0.2);
+    brace.rotation.x = -Math.PI / 4;
+    brace.castShadow = true;
+    bracketGroup.add(brace);
+
+    bracketGroup.position.x = xPos;
+    return bracketGroup;
+  }
+
+  shelfGroup.add(createBracket(-1.1));
+  shelfGroup.add(createBracket(1.1));
+
+  // Wall behind the shelf
+  const wallGeo = new THREE.PlaneGeometry(20, 20);
+  const wallMat = new THREE.MeshPhysicalMaterial({
+    color: 0xf0ebe3,
+    roughness: 0.95,
+    metalness: 0.0,
+  });
+  const wall = new THREE.Mesh(wallGeo, wallMat);
+  wall.position.set(0, 5, -0.8);
+  wall.receiveShadow = true;
+  shelfGroup.add(wall);
+
+  scene.add(shelfGroup);
+
+  return {
+    scene,
+    lights: { ambient, keyLight, fillLight, rimLight, bounceLight },
+    groundPlane,
+    shelfGroup,
+    materials: { wood: woodMat, bracket: bracketMat, wall: wallMat },
+  };
+}
+
+// --- Model ---
+// Upright, ~1 unit across, centered and standing on the shelf; materials
+// upgraded to physical with clearcoat, casting and receiving shadows
+export function prepareModel(m) {
+  // Rotate -90° on X axis (CAD orientation fix)
+  m.rotation.x = -Math.PI / 2;
+
+  // Scale to fit ~1 unit
+  const box = new THREE.Box3().setFromObject(m);
+  const size = box.getSize(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z);
+  const scale = 1.0 / maxDim;
+  m.scale.setScalar(scale);
+  m.userData.modelScale = scale; // scene units per model unit (metres), see measure.js
+
+  // Center and place on ground
+  const scaledBox = new THREE.Box3().setFromObject(m);
+  const scaledCenter = scaledBox.getCenter(new THREE.Vector3());
+  m.position.x -= scaledCenter.x;
+  m.position.z -= scaledCenter.z;
+  m.position.y -= scaledBox.min.y;
+
+  prepareMaterials(m);
+}
+
+// Premium material setup + shadows (also for sub-assemblies added later)
+export function prepareMaterials(m) {
+  m.traverse((child) => {
+    if (child.isMesh) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+      if (child.material) {
+        const mat = child.material;
+        if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
+          mat.envMapIntensity = 1.2;
+          if (!mat.isMeshPhysicalMaterial) {
+            const physMat = new THREE.MeshPhysicalMaterial();
+            THREE.MeshStandardMaterial.prototype.copy.call(physMat, mat);
+            physMat.clearcoat = defaults.material.clearcoat;
+            physMat.clearcoatRoughness = defaults.material.clearcoatRoughness;
+            physMat.envMapIntensity = 1.2;
+            child.material = physMat;
+            mat.dispose();
+          } else {
+            mat.clearcoat = defaults.material.clearcoat;
+            mat.clearcoatRoughness = defaults.material.clearcoatRoughness;
+          }
+          child.material.needsUpdate = true;
+        }
+      }
+    }
+  });
+}
+
+// --- Environment ---
+// Studio HDRI for reflections, or a procedural room when it can't be loaded
+export async function loadEnvironment(renderer, assets, onProgress) {
+  const envMap = await assets.load(new RGBELoader(), assetSources.hdri('studio_small_09_1k'), 'studio HDRI', onProgress);
+  if (envMap) {
+    envMap.mapping = THREE.EquirectangularReflectionMapping;
+    return envMap;
+  }
+  // Procedural studio room — softer, but keeps metals and clearcoat readable
+  const pmrem = new THREE.PMREMGenerator(renderer);
+  const room = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+  pmrem.dispose();
+  return room;
+}
+
+// --- Context looks (see contexts.js) ---
+export function contextTextureNames(contexts) {
+  return [...new Set(contexts.flatMap((ctx) => [ctx.plankTex, ctx.wallTex]))];
+}
+
+// load(name, map, label) → Promise<Texture | null>; map is 'diff' or 'nor_gl'.
+// A missing map is null and the surface keeps its flat context color.
+export async function loadContextTextures(textureNames, load) {
+  const PLANK_REPEAT = new THREE.Vector2(4, 2);
+  const WALL_REPEAT = new THREE.Vector2(12, 12);
+
+  // Build separate texture sets for plank and wall so repeat values don't conflict
+  // when the same texture name is used for both surfaces (e.g. concrete_wall_003)
+  const plank = {}; // { name: { diff, norm } }
+  const wall = {};  // { name: { diff, norm } }
+  const rawCache = {}; // shared download cache
+
+  await Promise.all(textureNames.map(async (name) => {
+    const [diff, norm] = await Promise.all([
+      load(name, 'diff', `${name} diffuse`),
+      load(name, 'nor_gl', `${name} normal`),
+    ]);
+    rawCache[name] = { diff, norm };
+  }));
+
+  function prepareTexSet(raw, repeat) {
+    function configure(tex, isSRGB) {
+      if (!tex) return null;
+      tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+      tex.colorSpace = isSRGB ? THREE.SRGBColorSpace : THREE.LinearSRGBColorSpace;
+      tex.repeat.copy(repeat);
+      return tex;
+    }
+    return {
+      diff: configure(raw.diff?.clone(), true),
+      norm: configure(raw.norm?.clone(), false),
+    };
+  }
+
+  textureNames.forEach((name) => {
+    plank[name] = prepareTexSet(rawCache[name], PLANK_REPEAT);
+    wall[name] = prepareTexSet(rawCache[name], WALL_REPEAT);
+  });
+  return { plank, wall };
+}
+
+// Surfaces, lights, exposure and HDRI rotation of one context.
+// textures: from loadContextTextures
+export function applyContext(stage, renderer, ctx, textures) {
+  const { scene } = stage;
+  const { ambient, keyLight, fillLight, rimLight } = stage.lights;
+  const { wall: wallMat, wood: woodMat, bracket: bracketMat } = stage.materials;
+
+  scene.background.copy(ctx.background);
+
+  // Wall textures
+  const wt = textures.wall[ctx.wallTex];
+  wallMat.map = wt?.diff || null;
+  wallMat.normalMap = wt?.norm || null;
+  wallMat.normalScale.set(0.5, 0.5);
+  wallMat.color.copy(ctx.wall);
+  wallMat.roughness = ctx.wallRoughness ?? 0.95;
+  wallMat.metalness = ctx.wallMetalness ?? 0.0;
+  wallMat.needsUpdate = true;
+
+  // Plank textures
+  const pt = textures.plank[ctx.plankTex];
+  woodMat.map = pt?.diff || null;
+  woodMat.normalMap = pt?.norm || null;
+  woodMat.normalScale.set(0.8, 0.8);
+  woodMat.color.copy(ctx.plank);
+  woodMat.roughness = ctx.plankRoughness;
+  woodMat.metalness = ctx.plankMetalness ?? 0.0;
+  woodMat.clearcoat = ctx.plankClearcoat ?? 0.15;
+  woodMat.clearcoatRoughness = ctx.plankClearcoatRoughness ?? 0.4;
+  woodMat.needsUpdate = true;
+
+  bracketMat.color.copy(ctx.bracket);
+  bracketMat.roughness = ctx.bracketRoughness ?? 0.4;
+  bracketMat.metalness = ctx.bracketMetalness ?? 0.85;
+  ambient.intensity = ctx.ambientIntensity;
+  ambient.color.copy(ctx.ambientColor);
+  keyLight.intensity = ctx.keyIntensity;
+  keyLight.color.copy(ctx.keyColor);
+  keyLight.position.copy(ctx.keyPos);
+  fillLight.intensity = ctx.fillIntensity;
+  fillLight.color.copy(ctx.fillColor);
+  rimLight.intensity = ctx.rimIntensity;
+  rimLight.color.copy(ctx.rimColor);
+  renderer.toneMappingExposure = ctx.exposure;
+  // Rotate HDRI environment per context for unique reflections
+  if (ctx.envRotation !== undefined) {
+    scene.environmentRotation = new THREE.Euler(0, ctx.envRotation, 0);
+  }
+}
+
+// --- Post-processing ---
+// SSAO → DOF → bloom → film look → anamorphic flare → SMAA → output.
+// perspective: whether the starting camera is a perspective one (for DOF depth)
+export function createPostStack(renderer, scene, camera, { width, height, perspective }) {
+  // --- ScandinavianFilmShader (combined vignette / grain / CA / color grading) ---
+  const ScandinavianFilmShader = {
+    uniforms: {
+      tDiffuse: { value: null },
+      uTime: { value: 0 },
+      uVignette: { value: 1 },
+      uVignetteAmount: { value: defaults.postprocessing.vignetteAmount },
+      uGrain: { value: 1 },
+      uGrainAmount: { value: defaults.postprocessing.grainAmount },
+      uCA: { value: 1 },
+      uCAAmount: { value: defaults.postprocessing.chromaticAberrationAmount },
+      uColorGrading: { value: 1 },
+      uMidSaturation: { value: defaults.postprocessing.midSaturation },
+      uShadowWarmth: { value: defaults.postprocessing.shadowWarmth },
+      uHighlightWarmth: { value: defaults.postprocessing.highlightWarmth },
+      uLensDistortion: { value: 1 },
+      uLensDistortionAmount: { value: defaults.postprocessing.lensDistortionAmount ?? 0.03 },
+      // Where this image sits in the full frame (uv offset, uv scale) — only tiled stills change it
+      uView: { value: new THREE.Vector4(0, 0, 1, 1) },
+    },
+    vertexShader: /* glsl */`
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: /* glsl */`
+      uniform sampler2D tDiffuse;
+      uniform float uTime;
+      uniform float uVignette;
+      uniform float uVignetteAmount;
+      uniform float uGrain;
+      uniform float uGrainAmount;
+      uniform float uCA;
+      uniform float uCAAmount;
+      uniform float uColorGrading;
+      uniform float uMidSaturation;
+      uniform float uShadowWarmth;
+      uniform float uHighlightWarmth;
+      uniform float uLensDistortion;
+      uniform float uLensDistortionAmount;
+      uniform vec4 uView;
+      varying vec2 vUv;
+
+      // Hash-based noise
+      float hash(vec2 p) {
+        vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+        p3 += dot(p3, p3.yzx + 33.33);
+        return fract((p3.x + p3.y) * p3.z);
+      }
+
+      // Full-frame uv → this image's texture uv
+      vec4 sampleFrame(vec2 uv) {
+        return texture2D(tDiffuse, (uv - uView.xy) / uView.zw);
+      }
+
+      void main() {
+        vec2 uv = uView.xy + vUv * uView.zw;
+
+        // --- Barrel Lens Distortion ---
+        if (uLensDistortion > 0.5) {
+          vec2 centered = uv - 0.5;
+          float r2 = dot(centered, centered);
+          uv = 0.5 + centered * (1.0 + uLensDistortionAmount * r2);
+        }
+
+        // --- Chromatic Aberration ---
+        vec4 base = sampleFrame(uv);
+        vec3 col = base.rgb;
+        if (uCA > 0.5) {
+          vec2 dir = uv - 0.5;
+          float d = length(dir);
+          vec2 offset = dir * d * uCAAmount;
+          col.r = sampleFrame(uv + offset).r;
+          col.b = sampleFrame(uv - offset).b;
+        }
+
+        // --- Color Grading (warm shadows, desaturated mids, warm highlights) ---
+        if (uColorGrading > 0.5) {
+          float luma = dot(col, vec3(0.2126, 0.7152, 0.0722));
+          // Desaturate midtones
+          col = mix(vec3(luma), col, uMidSaturation);
+          // Warm shadows (add warmth to dark areas)
+          float shadowMask = 1.0 - smoothstep(0.0, 0.4, luma);
+          col.r += shadowMask * uShadowWarmth;
+          col.g += shadowMask * uShadowWarmth * 0.4;
+          // Warm highlights
+          float hiMask = smoothstep(0.6, 1.0, luma);
+          col.r += hiMask * uHighlightWarmth;
+          col.g += hiMask * uHighlightWarmth * 0.6;
+        }
+
+        // --- Film Grain ---
+        if (uGrain > 0.5) {
+          float n = hash(uv * 1000.0 + uTime * 100.0) - 0.5;
+          col += n * uGrainAmount;
+        }
+
+        // --- Vignette ---
+        if (uVignette > 0.5) {
+          float d = distance(uv, vec2(0.5));
+          float vig = smoothstep(0.7, 0.3, d * uVignetteAmount * 3.0);
+          col *= mix(1.0, vig, uVignetteAmount);
+        }
+
+        // Keep alpha for transparent stills
+        gl_FragColor = vec4(col, base.a);
+      }
+    `,
+  };
+
+  // --- Composer ---
+  const renderTarget = new THREE.WebGLRenderTarget(width, height, {
+    type: THREE.HalfFloatType,
+    samples: 4,
+  });
+  const composer = new EffectComposer(renderer, renderTarget);
+  composer.addPass(new RenderPass(scene, camera));
+
+  // SSAO — subtle ambient occlusion for shelf/case contact
+  const ssaoPass = new SSAOPass(scene, camera, width, height);
+  ssaoPass.kernelRadius = defaults.postprocessing.ssaoRadius;
+  ssaoPass.minDistance = 0.0003;
+  ssaoPass.maxDistance = 0.025;
+  ssaoPass.intensity = defaults.postprocessing.ssaoIntensity;
+  ssaoPass.enabled = defaults.postprocessing.ssao;
+  // Ghosted (isolation) meshes are see-through — keep them out of the AO depth/normals
+  const ssaoOverrideVisibility = ssaoPass.overrideVisibility.bind(ssaoPass);
+  ssaoPass.overrideVisibility = () => {
+    ssaoOverrideVisibility();
+    scene.traverse((o) => { if (o.userData.ghost) o.visible = false; });
+  };
+  composer.addPass(ssaoPass);
+
+  // Depth of Field — BokehPass
+  const bokehPass = new BokehPass(scene, camera, {
+    focus: ORBIT_RADIUS, // on the orbit target at the default framing
+    aperture: defaults.postprocessing.dofAperture,
+    maxblur: defaults.postprocessing.dofMaxBlur,
+  });
+  bokehPass.enabled = defaults.postprocessing.dof;
+  // Ortho or perspective depth, to match the starting camera
+  bokehPass.materialBokeh.defines.PERSPECTIVE_CAMERA = perspective ? 1 : 0;
+  bokehPass.materialBokeh.needsUpdate = true;
+  composer.addPass(bokehPass);
+
+  // Bloom — subtle glow on specular highlights
+  const bloomPass = new UnrealBloomPass(
+    new THREE.Vector2(width, height),
+    0.12,  // strength — gentle
+    0.4,   // radius
+    0.9    // threshold — only brightest highlights
+  );
+  bloomPass.enabled = true;
+  composer.addPass(bloomPass);
+
+  // Scandinavian film look (vignette + grain + CA + color grading in one pass)
+  const filmPass = new ShaderPass(ScandinavianFilmShader);
+  filmPass.enabled = true;
+  composer.addPass(filmPass);
+
+  // Anamorphic lens flare — horizontal streak on bright specular hits
+  const AnamorphicFlareShader = {
+    uniforms: {
+      tDiffuse: { value: null },
+      uEnabled: { value: 1 },
+      uThreshold: { value: defaults.postprocessing.flareThreshold ?? 0.85 },
+      uStrength: { value: defaults.postprocessing.flareStrength ?? 0.15 },
+      uSteps: { value: defaults.postprocessing.flareSteps ?? 12 },
+      uResolution: { value: new THREE.Vector2(width, height) },
+    },
+    vertexShader: /* glsl */`
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: /* glsl */`
+      uniform sampler2D tDiffuse;
+      uniform float uEnabled;
+      uniform float uThreshold;
+      uniform float uStrength;
+      uniform float uSteps;
+      uniform vec2 uResolution;
+      varying vec2 vUv;
+      void main() {
+        vec4 col = texture2D(tDiffuse, vUv);
+        if (uEnabled < 0.5) { gl_FragColor = col; return; }
+        // Horizontal blur of bright pixels only
+        float texelW = 1.0 / uResolution.x;
+        vec3 streak = vec3(0.0);
+        float total = 0.0;
+        int steps = int(uSteps);
+        for (int i = -24; i <= 24; i++) {
+          if (i < -steps || i > steps) continue;
+          float w = 1.0 - abs(float(i)) / uSteps;
+          w *= w; // quadratic falloff for anamorphic shape
+          vec3 s = texture2D(tDiffuse, vUv + vec2(float(i) * texelW * 3.0, 0.0)).rgb;
+          float luma = dot(s, vec3(0.2126, 0.7152, 0.0722));
+          float bright = max(0.0, luma - uThreshold);
+          streak += s * bright * w;
+          total += w;
+        }
+        streak /= total;
+        // Tint streak slightly warm/blue for anamorphic look
+        streak *= vec3(0.8, 0.85, 1.2);
+        gl_FragColor = vec4(col.rgb + streak * uStrength, col.a);
+      }
+    `,
+  };
+  const flarePass = new ShaderPass(AnamorphicFlareShader);
+  flarePass.enabled = true;
+  composer.addPass(flarePass);
+
+  // SMAA anti-aliasing
+  const smaaPass = new SMAAPass(width, height);
+  smaaPass.enabled = defaults.postprocessing.smaa;
+  composer.addPass(smaaPass);
+
+  // Output pass for correct color space
+  const outputPass = new OutputPass();
+  composer.addPass(outputPass);
+
+  return { composer, ssaoPass, bokehPass, bloomPass, filmPass, flarePass, smaaPass, outputPass };
+}
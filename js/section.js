@@ -0,0 +1,207 @@
+import * as THREE from 'three';
+
+// Section view — clipping planes on the model's materials only, so the shelf,
+// wall and ground stay whole:
+//   Plane — one cut across X, Y or Z; offset runs 0–1 across the assembled model
+//           and keeps the low side (flip keeps the high side)
+//   Box   — keep what lies inside min–max per axis (0–1 across the model)
+// Cut faces are capped by drawing the model's back faces flat in the cap colour,
+// hatched or solid, which reads as a filled section on closed CAD solids.
+// Materials swapped in later (isolation ghosts, finishes, configurator parts)
+// are picked up by update(), once per frame.
+
+export const SECTION_MODES = ['Off', 'Plane', 'Box'];
+export const SECTION_AXES = ['X', 'Y', 'Z'];
+export const CAP_STYLES = ['Hatched', 'Solid'];
+
+const AXES = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+
+const capUniforms = {
+  sectionCapColor: { value: new THREE.Color(0xd0463b) },
+  sectionHatch: { value: 1 },
+};
+
+// Shared by every capped material, so they share programs too
+function capShader(shader) {
+  Object.assign(shader.uniforms, capUniforms);
+  shader.fragmentShader = 'uniform vec3 sectionCapColor;\nuniform float sectionHatch;\n' +
+    shader.fragmentShader.replace('#include <dithering_fragment>', /* glsl */`
+      #include <dithering_fragment>
+      // Seen through the cut: the inside of the solid is the section face
+      if ( ! gl_FrontFacing ) {
+        float line = step( mod( gl_FragCoord.x + gl_FragCoord.y, 9.0 ), 1.5 ) * sectionHatch;
+        gl_FragColor = vec4( mix( sectionCapColor, sectionCapColor * 0.35, line ), 1.0 );
+      }
+    `);
+}
+
+// isolation: createIsolation() — ghosted meshes' own materials get cut too
+export function createSection({ renderer, isolation }) {
+  renderer.localClippingEnabled = true;
+
+  const settings = {
+    mode: 'Off',
+    axis: 'Z',
+    offset: 0.5,
+    flip: false,
+    xMin: 0.25, xMax: 0.75,
+    yMin: 0.25, yMax: 0.75,
+    zMin: 0.25, zMax: 0.75,
+    cap: 'Hatched',
+    get capColor() { return `#${capUniforms.sectionCapColor.value.getHexString()}`; },
+    set capColor(v) { capUniforms.sectionCapColor.value.set(v); },
+  };
+
+  let model = null;
+  let suspended = false; // e.g. while comparing revisions
+  const box = new THREE.Box3(); // assembled model, world space
+  const planes = []; // one array shared by every clipped material
+  const patched = new Set();
+
+  const active = () => settings.mode !== 'Off' && model !== null && !suspended;
+
+  // Fraction `t` across the model along axis i, in world units
+  const along = (i, t) => THREE.MathUtils.lerp(box.min.getComponent(i), box.max.getComponent(i), t);
+
+  function updatePlanes() {
+    const wanted = settings.mode === 'Plane' ? 1 : settings.mode === 'Box' ? 6 : 0;
+    while (planes.length < wanted) planes.push(new THREE.Plane());
+    planes.length = wanted;
+    if (settings.mode === 'Plane') {
+      const i = SECTION_AXES.indexOf(settings.axis);
+      const at = along(i, settings.offset);
+      // Plane keeps the side its normal points to
+      if (settings.flip) planes[0].set(AXES[i], -at);
+      else planes[0].set(AXES[i].clone().negate(), at);
+    } else if (settings.mode === 'Box') {
+      SECTION_AXES.forEach((name, i) => {
+        const key = name.toLowerCase();
+        const lo = Math.min(settings[`${key}Min`], settings[`${key}Max`]);
+        const hi = Math.max(settings[`${key}Min`], settings[`${key}Max`]);
+        planes[i * 2].set(AXES[i], -along(i, lo));
+        planes[i * 2 + 1].set(AXES[i].clone().negate(), along(i, hi));
+      });
+    }
+    capUniforms.sectionHatch.value = settings.cap === 'Hatched' ? 1 : 0;
+  }
+
+  // The side to restore sits in userData, so clones made while cut (finishes) carry it
+  function patch(material) {
+    if (patched.has(material)) return;
+    patched.add(material);
+    material.clippingPlanes = planes;
+    material.clipShadows = true; // or the cut-away part still shades the rest
+    // Ghost shaders only clip; the ghost shows through the cut on its own
+    if (!material.isShaderMaterial) {
+      material.userData.sectionSide ??= material.side;
+      material.side = THREE.DoubleSide;
+      material.onBeforeCompile = capShader;
+    }
+    material.needsUpdate = true;
+  }
+
+  function unpatch() {
+    patched.forEach((material) => {
+      material.clippingPlanes = null;
+      material.clipShadows = false;
+      if (!material.isShaderMaterial) {
+        material.side = material.userData.sectionSide ?? THREE.FrontSide;
+        delete material.userData.sectionSide;
+        delete material.onBeforeCompile; // back to Material's no-op
+      }
+      material.needsUpdate = true;
+    });
+    patched.clear();
+  }
+
+  function patchModel() {
+    model.traverse((c) => {
+      if (!c.isMesh) return;
+      [c.material, isolation.materialOf(c)].flat().forEach((m) => { if (m) patch(m); });
+    });
+  }
+
+  // SSAO normals and bokeh depth are drawn with scene.overrideMaterial, which
+  // would ignore the model's planes. While cut, such renders go in two steps:
+  // the rest of the scene as is, then the model alone with the planes.
+  function splitRender(render, scene, camera) {
+    const override = scene.overrideMaterial;
+    if (!override || model.parent !== scene || !model.visible) {
+      render(scene, camera);
+      return;
+    }
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    renderer.shadowMap.autoUpdate = false; // the beauty pass already drew them
+    model.visible = false;
+    render(scene, camera);
+    model.visible = true;
+
+    const others = scene.children.filter((c) => c !== model && c.visible && !c.isLight);
+    others.forEach((c) => { c.visible = false; });
+    const { background } = scene;
+    const { autoClear } = renderer;
+    const { clippingPlanes, side } = override;
+    scene.background = null;
+    renderer.autoClear = false;
+    override.clippingPlanes = planes;
+    override.side = THREE.DoubleSide; // caps need depth / normals too
+    render(scene, camera);
+    override.clippingPlanes = clippingPlanes;
+    override.side = side;
+    renderer.autoClear = autoClear;
+    scene.background = background;
+    others.forEach((c) => { c.visible = true; });
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+  }
+
+  return {
+    settings,
+    get active() { return active(); },
+    // Call with the model assembled (before any explode offset is applied)
+    setModel(m) {
+      unpatch();
+      model = m;
+      box.setFromObject(m, true);
+    },
+    // While suspended nothing is cut; the settings are kept for after
+    get suspended() { return suspended; },
+    set suspended(v) { suspended = v; },
+    // Hand the materials back uncut, e.g. before the model is disposed
+    release() {
+      unpatch();
+    },
+    // Passes that render with scene.overrideMaterial (SSAO, bokeh) split their
+    // renders while cut; only for the length of the pass's own render()
+    wrapPasses(...passes) {
+      passes.forEach((pass) => {
+        const passRender = pass.render.bind(pass);
+        pass.render = (passRenderer, ...args) => {
+          if (!active()) {
+            passRender(passRenderer, ...args);
+            return;
+          }
+          const { render } = passRenderer;
+          passRenderer.render = (scene, camera) => splitRender(render.bind(passRenderer), scene, camera);
+          try {
+            passRender(passRenderer, ...args);
+          } finally {
+            passRenderer.render = render;
+          }
+        };
+      });
+    },
+    // Whether a world point survives the cut (raycasts hit clipped geometry too)
+    keeps(point) {
+      return !active() || planes.every((p) => p.distanceToPoint(point) >= 0);
+    },
+    update() {
+      if (!active()) {
+        if (patched.size) unpatch();
+        planes.length = 0;
+        return;
+      }
+      updatePlanes();
+      patchModel();
+    },
+  };
+}
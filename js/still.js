@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { EXRExporter } from 'three/addons/exporters/EXRExporter.js';
+import { download } from './files.js';
+
+// High-resolution stills from the viewer's own composer. The frame is rendered
+// in tiles (camera.setViewOffset) so any size fits under the GPU texture limit.
+// Each tile carries a margin that is rendered and then discarded, so blurs,
+// streaks and lens distortion near tile edges see their neighbours' pixels.
+// Tiles are read back as half floats, assembled bottom-up (GL row order) and
+// written as:
+//   PNG         — 8-bit sRGB, as on screen
+//   PNG 16-bit  — the same image at 16 bits per channel
+//   EXR         — linear scene-referred half floats, before tone mapping
+
+export const STILL_SIZES = {
+  '1920×1080': [1920, 1080],
+  '3840×2160 (4K)': [3840, 2160],
+  '7680×4320 (8K)': [7680, 4320],
+  '4096×4096': [4096, 4096],
+  '2160×3840': [2160, 3840],
+};
+
+export const STILL_FORMATS = ['PNG', 'PNG 16-bit', 'EXR (linear HDR)'];
+
+const MAX_TILE = 2048; // px per side, margin included — keeps the MSAA targets small
+const TILE_MARGIN = 128; // px — longer than the flare streak and CA / distortion shifts
+
+// hooks:
+//   setRenderSize(w, h, pixelRatio) — resize every render target to one tile
+//   setTile(x, y, w, h) — point the camera at this tile of the full frame
+//                         (top-down pixels, margin included; may reach outside it)
+//   render() — composer.render() into the composer's buffers
+// Returns { width, height, data: Uint16Array } of RGBA half floats, bottom row first.
+export function captureTiled({ renderer, composer, width, height, setRenderSize, setTile, render }) {
+  const maxTile = Math.min(MAX_TILE, renderer.capabilities.maxTextureSize);
+  const single = width <= maxTile && height <= maxTile;
+  const margin = single ? 0 : TILE_MARGIN;
+  const cols = single ? 1 : Math.ceil(width / (maxTile - 2 * margin));
+  const rows = single ? 1 : Math.ceil(height / (maxTile - 2 * margin));
+  const innerW = Math.ceil(width / cols);
+  const innerH = Math.ceil(height / rows);
+  const tileW = innerW + 2 * margin;
+  const tileH = innerH + 2 * margin;
+
+  const data = new Uint16Array(width * height * 4);
+  const tile = new Uint16Array(innerW * innerH * 4);
+  setRenderSize(tileW, tileH, 1);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x0 = col * innerW;
+      const y0 = row * innerH;
+      const w = Math.min(innerW, width - x0);
+      const h = Math.min(innerH, height - y0);
+      setTile(x0 - margin, y0 - margin, tileW, tileH);
+      render();
+      // Inner region of the tile, in GL (bottom-up) coordinates
+      renderer.readRenderTargetPixels(composer.readBuffer, margin, tileH - margin - h, w, h, tile);
+      for (let j = 0; j < h; j++) {
+        const dst = ((height - y0 - h + j) * width + x0) * 4;
+        data.set(tile.subarray(j * w * 4, (j + 1) * w * 4), dst);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+// --- Encoders: image → Promise<Blob> ---
+function toUnit(half) {
+  return Math.min(Math.max(THREE.DataUtils.fromHalfFloat(half), 0), 1);
+}
+
+function encodePNG8({ width, height, data }) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const src = (height - 1 - y) * width * 4;
+    const dst = y * width * 4;
+    for (let i = 0; i < width * 4; i++) pixels[dst + i] = toUnit(data[src + i]) * 255 + 0.5;
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+}
+
+// Canvas can only write 8-bit PNGs, so 16-bit ones are assembled by hand
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function pngChunk(type, body) {
+  const chunk = new Uint8Array(body.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(body, 8);
+  let crc = 0xffffffff;
+  for (let i = 4; i < body.length + 8; i++) crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+  view.setUint32(body.length + 8, (crc ^ 0xffffffff) >>> 0);
+  return chunk;
+}
+
+async function encodePNG16({ width, height, data }) {
+  const { zlibSync } = await import('fflate');
+  // Filter byte 0 + big-endian RGBA16 per row, top row first
+  const stride = width * 8 + 1;
+  const raw = new Uint8Array(stride * height);
+  const view = new DataView(raw.buffer);
+  for (let y = 0; y < height; y++) {
+    const src = (height - 1 - y) * width * 4;
+    for (let i = 0; i < width * 4; i++) {
+      view.setUint16(y * stride + 1 + i * 2, Math.round(toUnit(data[src + i]) * 65535));
+    }
+  }
+  const header = new Uint8Array(13);
+  new DataView(header.buffer).setUint32(0, width);
+  new DataView(header.buffer).setUint32(4, height);
+  header.set([16, 6, 0, 0, 0], 8); // 16-bit, RGBA, deflate, no filter, no interlace
+  return new Blob([
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('sRGB', new Uint8Array([0])),
+    pngChunk('IDAT', zlibSync(raw, { level: 4 })),
+    pngChunk('IEND', new Uint8Array(0)),
+  ], { type: 'image/png' });
+}
+
+function encodeEXR({ width, height, data }) {
+  // EXR expects premultiplied alpha
+  const { fromHalfFloat, toHalfFloat } = THREE.DataUtils;
+  for (let i = 0; i < data.length; i += 4) {
+    const a = fromHalfFloat(data[i + 3]);
+    if (a >= 1) continue;
+    for (let c = 0; c < 3; c++) data[i + c] = toHalfFloat(fromHalfFloat(data[i + c]) * a);
+  }
+  const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.HalfFloatType);
+  const bytes = new EXRExporter().parse(texture, { type: THREE.HalfFloatType });
+  texture.dispose();
+  return new Blob([bytes], { type: 'image/x-exr' });
+}
+
+export async function saveStill(image, format, name = 'angl') {
+  const encoders = { [STILL_FORMATS[0]]: encodePNG8, [STILL_FORMATS[1]]: encodePNG16, [STILL_FORMATS[2]]: encodeEXR };
+  const blob = await encoders[format](image);
+  const ext = format === STILL_FORMATS[2] ? 'exr' : 'png';
+  download(blob, `${name}-${image.width}x${image.height}.${ext}`);
+}
@@ -0,0 +1,38 @@
+import { matchesAny, localize } from './manifest.js';
+
+// Toggleable parts. Groups come from the manifest's `toggleGroups`, in order;
+// an object belongs to the first group whose `match` it satisfies (and whose
+// `exclude` it doesn't).
+//   together: true  → clicking any member toggles the whole group
+//   together: false → every member is its own toggle
+//   colorable: true → members follow the panel color
+
+export const PANEL_COLOR_DEFAULT = '#c1a085';
+
+export function buildToggleMap(root, defs) {
+  const claimed = new Set();
+  const groups = defs.map((def) => {
+    const members = [];
+    root.traverse((child) => {
+      if (!child.name || claimed.has(child)) return;
+      if (matchesAny(child.name, def.match) && !matchesAny(child.name, def.exclude)) {
+        members.push(child);
+        claimed.add(child);
+      }
+    });
+    console.log(`Toggle group "${def.id}":`, members.map((p) => p.name));
+    return {
+      id: def.id,
+      label: localize(def.label),
+      together: def.together !== false,
+      colorable: !!def.colorable,
+      members,
+    };
+  }).filter((g) => g.members.length > 0);
+
+  return {
+    groups,
+    all: groups.flatMap((g) => g.members),
+    colorable: groups.filter((g) => g.colorable).flatMap((g) => g.members),
+  };
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Fills assets/ with the files js/assets.js looks for before going to the
+// network: the studio HDRI, the diffuse and normal maps of every context
+// texture, and the Draco decoder. Run it once with network access, then serve
+// (or ship) the repository with assets/ in it.
+//
+//   node tools/fetch-assets.mjs [--force]
+//
+// Names and sources are read from js/assets.js, js/contexts.js and js/scene.js,
+// so the list follows the viewer. Files already there are kept unless --force.
+// Exit codes: 0 done; 1 some downloads failed (the rest are written); 2 bad usage.
+//
+// Still fetched at run time: three.js, its addons, lil-gui, webm-muxer and
+// fflate come from esm.sh / jsDelivr through the import maps in index.html,
+// headless.html and render-png.html.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ASSETS = path.join(ROOT, 'assets');
+const TEXTURE_MAPS = ['diff', 'nor_gl'];
+const DRACO_FILES = ['draco_decoder.wasm', 'draco_wasm_wrapper.js', 'draco_decoder.js'];
+
+function usage(message) {
+  if (message) console.error(`fetch-assets: ${message}`);
+  console.error('usage: node tools/fetch-assets.mjs [--force]');
+  process.exit(2);
+}
+
+async function source(file) {
+  return fs.readFile(path.join(ROOT, file), 'utf8');
+}
+
+function match(text, re, what) {
+  const m = text.match(re);
+  if (!m) throw new Error(`could not find ${what}`);
+  return m[1];
+}
+
+// [{ url, file }] — file relative to assets/, the same layout js/assets.js reads
+async function assetList() {
+  const [assets, contexts, scene] = await Promise.all([source('js/assets.js'), source('js/contexts.js'), source('js/scene.js')]);
+  const polyhaven = match(assets, /POLYHAVEN_BASE = '([^']+)'/, 'POLYHAVEN_BASE in js/assets.js');
+  const dracoVersion = match(assets, /DRACO_VERSION = '([^']+)'/, 'DRACO_VERSION in js/assets.js');
+  const draco = match(assets, /`(https:[^`$]+)\$\{DRACO_VERSION\}\/`/, 'the Draco source in js/assets.js') + dracoVersion;
+  const hdri = match(scene, /assetSources\.hdri\('([^']+)'\)/, 'the HDRI name in js/scene.js');
+  const textures = [...new Set([...contexts.matchAll(/(?:plankTex|wallTex): '([\w-]+)'/g)].map((m) => m[1]))];
+  if (!textures.length) throw new Error('could not find the context textures in js/contexts.js');
+
+  return [
+    { url: `${polyhaven}/HDRIs/hdr/1k/${hdri}.hdr`, file: `hdri/${hdri}.hdr` },
+    ...textures.flatMap((name) => TEXTURE_MAPS.map((map) => ({
+      url: `${polyhaven}/Textures/jpg/1k/${name}/${name}_${map}_1k.jpg`,
+      file: `textures/${name}/${name}_${map}_1k.jpg`,
+    }))),
+    ...DRACO_FILES.map((f) => ({ url: `${draco}/${f}`, file: `draco/${f}` })),
+  ];
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  args.filter((a) => a !== '--force').forEach((a) => usage(`unexpected argument ${a}`));
+
+  let list;
+  try {
+    list = await assetList();
+  } catch (err) {
+    console.error(`fetch-assets: ${err.message}`);
+    process.exit(2);
+  }
+
+  let failed = 0;
+  for (const { url, file } of list) {
+    const target = path.join(ASSETS, file);
+    if (!force && await exists(target)) {
+      console.log(`kept    assets/${file}`);
+      continue;
+    }
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, Buffer.from(await res.arrayBuffer()));
+      console.log(`fetched assets/${file}`);
+    } catch (err) {
+      failed++;
+      console.error(`failed  assets/${file} — ${url}: ${err.message}`);
+    }
+  }
+  console.log(`${list.length - failed} of ${list.length} assets in place`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
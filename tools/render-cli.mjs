@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// Headless product renders for CI. Serves the repository over HTTP, opens
+// headless.html in headless Chromium — WebGL through SwiftShader, so no GPU
+// is needed — and writes one PNG per render in the job file.
+//
+//   node tools/render-cli.mjs job.json [--out dir] [--allow-missing]
+//
+// The job format is described in js/headless.js; `out` in the job (relative
+// to the job file) or --out picks the output directory (default: renders/).
+// Exit codes: 0 done; 1 assets missing or hotspots unmatched (the images are
+// still written; --allow-missing exits 0); 2 bad usage or a failed render.
+// Needs puppeteer, pinned in tools/package.json: `npm install` in tools/.
+// Needs network access too: headless.html imports three.js from esm.sh and
+// jsDelivr at run time, and assets missing from assets/ (HDRI, textures, Draco
+// decoder) come from their public sources (js/assets.js) — run
+// tools/fetch-assets.mjs once to fill assets/ for offline renders.
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RENDER_TIMEOUT = 10 * 60 * 1000; // ms, for the whole job
+const CONTENT_TYPES = {
+  '.html': 'text/html', '.js': 'text/javascript', '.mjs': 'text/javascript', '.css': 'text/css',
+  '.json': 'application/json', '.glb': 'model/gltf-binary', '.hdr': 'application/octet-stream',
+  '.jpg': 'image/jpeg', '.png': 'image/png', '.wasm': 'application/wasm',
+};
+
+function usage(message) {
+  if (message) console.error(`render-cli: ${message}`);
+  console.error('usage: node tools/render-cli.mjs job.json [--out dir] [--allow-missing]');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const args = { job: null, out: null, allowMissing: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--out') args.out = argv[++i] ?? usage('--out needs a directory');
+    else if (a === '--allow-missing') args.allowMissing = true;
+    else if (a.startsWith('--')) usage(`unknown option ${a}`);
+    else if (!args.job) args.job = a;
+    else usage(`unexpected argument ${a}`);
+  }
+  if (!args.job) usage();
+  return args;
+}
+
+// Static file server over the repository; resolves with the listening server
+function serve(root) {
+  const server = http.createServer(async (req, res) => {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = path.join(root, urlPath === '/' ? 'index.html' : urlPath);
+    if (!file.startsWith(root + path.sep)) {
+      res.writeHead(403).end();
+      return;
+    }
+    try {
+      const body = await fs.readFile(file);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } catch {
+      res.writeHead(404).end();
+    }
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let job;
+  try {
+    job = JSON.parse(await fs.readFile(args.job, 'utf8'));
+  } catch (err) {
+    usage(`cannot read ${args.job}: ${err.message}`);
+  }
+  const outDir = args.out
+    ? path.resolve(args.out)
+    : path.resolve(path.dirname(args.job), job.out ?? 'renders');
+
+  let puppeteer;
+  try {
+    puppeteer = (await import('puppeteer')).default;
+  } catch {
+    usage('puppeteer is not installed (npm install in tools/)');
+  }
+
+  const server = await serve(ROOT);
+  const browser = await puppeteer.launch({
+    headless: true,
+    protocolTimeout: RENDER_TIMEOUT,
+    args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist'],
+  });
+  try {
+    const page = await browser.newPage();
+    page.on('console', (msg) => {
+      if (msg.type() === 'error' || msg.type() === 'warn') console.error(`[page] ${msg.text()}`);
+    });
+    page.on('pageerror', (err) => console.error(`[page] ${err.message}`));
+    await page.goto(`http://127.0.0.1:${server.address().port}/headless.html`);
+    await page.waitForFunction(() => typeof window.renderJob === 'function', { timeout: 60000 });
+
+    const result = await page.evaluate((j) => window.renderJob(j), job);
+
+    await fs.mkdir(outDir, { recursive: true });
+    for (const image of result.images) {
+      const file = path.join(outDir, image.file);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, Buffer.from(image.png, 'base64'));
+      console.log(`wrote ${path.relative(process.cwd(), file)}`);
+    }
+
+    result.manifestErrors.forEach((e) => console.warn(`manifest: ${e}`));
+    result.missingAssets.forEach((a) => console.error(`missing asset: ${a}`));
+    result.unmatchedHotspots.forEach((h) => console.error(`unmatched hotspot: ${h}`));
+    const problems = result.missingAssets.length + result.unmatchedHotspots.length;
+    return problems && !args.allowMissing ? 1 : 0;
+  } finally {
+    await browser.close();
+    server.close();
+  }
+}
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(`render-cli: ${err.message}`);
+    process.exitCode = 2;
+  },
+);